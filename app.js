@@ -7,11 +7,23 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const scheduler = require('./utils/scheduler');
+const Facility = require('./models/facility.model');
+const { registerJobs } = require('./jobs');
+
 // Import routes
-const authRoutes = require('./routes/auth.routes');
-const vehicleRequestRoutes = require('./routes/vehicleRequest.routes');
-const facilityRoutes = require('./routes/facility.routes');
-const userRoutes = require('./routes/user.routes');
+const authRoutes = require('./routes/auth.route');
+const vehicleRequestRoutes = require('./routes/vehicleRequest.route');
+const approvalFlowRoutes = require('./routes/approvalFlow.route');
+const vehicleRoutes = require('./routes/vehicle.route');
+const driverRoutes = require('./routes/driver.route');
+const itemRequestRoutes = require('./routes/itemRequest.route');
+const inventoryRoutes = require('./routes/inventory.route');
+const facilityRoutes = require('./routes/facility.route');
+const priceRoutes = require('./routes/price.route');
+const takeoverRoutes = require('./routes/takeover.route');
+const inspectionRoutes = require('./routes/inspection.route');
+const userRoutes = require('./routes/user.route');
 
 // Initialize Express app
 const app = express();
@@ -48,7 +60,15 @@ app.use('/api/', limiter);
 
 app.use('/api/auth', authRoutes);
 app.use('/api/vehicle-requests', vehicleRequestRoutes);
+app.use('/api/approval-flows', approvalFlowRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/item-requests', itemRequestRoutes);
+app.use('/api/inventory', inventoryRoutes);
 app.use('/api/facilities', facilityRoutes);
+app.use('/api/prices', priceRoutes);
+app.use('/api/takeovers', takeoverRoutes);
+app.use('/api/inspections', inspectionRoutes);
 app.use('/api/users', userRoutes);
 
 // Health check
@@ -101,6 +121,19 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+
+  // One-off migrations
+  if (await Facility.migrateTextIndex()) {
+    console.log('🔎 Replaced facility name_text index with facility_text_search');
+  }
+  const backfilled = await Facility.backfillSearchTrigrams();
+  if (backfilled) {
+    console.log(`🔎 Built search trigrams for ${backfilled} facilities`);
+  }
+
+  // Background jobs (overdue trips, approval SLAs, ...)
+  registerJobs();
+  scheduler.start();
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
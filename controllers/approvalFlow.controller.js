@@ -0,0 +1,233 @@
+// controllers/approvalFlow.controller.js
+const ApprovalFlow = require('../models/approvalFlow.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// @desc    Get all approval flows
+// @route   GET /api/approval-flows
+// @access  Private (ICT Admin, Regional Coordinator)
+exports.getApprovalFlows = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    let query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const flows = await ApprovalFlow.find(query)
+      .populate('createdBy', 'name staffId')
+      .populate('lastModifiedBy', 'name staffId')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        flows,
+        defaultFlows: ApprovalFlow.DEFAULT_FLOWS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval flows',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single approval flow
+// @route   GET /api/approval-flows/:id
+// @access  Private (ICT Admin, Regional Coordinator)
+exports.getApprovalFlow = async (req, res) => {
+  try {
+    const flow = await ApprovalFlow.findById(req.params.id)
+      .populate('createdBy', 'name staffId')
+      .populate('lastModifiedBy', 'name staffId');
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval flow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { flow }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval flow',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create approval flow
+// @route   POST /api/approval-flows
+// @access  Private (ICT Admin)
+exports.createApprovalFlow = async (req, res) => {
+  try {
+    const { name, key, description, conditions, priority, stages, isActive } = req.body;
+
+    const flow = await ApprovalFlow.create({
+      name,
+      key,
+      description,
+      conditions,
+      priority,
+      stages,
+      isActive,
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'other',
+      description: `Created approval flow: ${flow.name}`,
+      resourceType: 'System',
+      resourceId: flow._id,
+      metadata: { flowKey: flow.key, stages: flow.stages.map(stage => stage.key) },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval flow created successfully',
+      data: { flow }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating approval flow',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update approval flow
+// @route   PUT /api/approval-flows/:id
+// @access  Private (ICT Admin)
+exports.updateApprovalFlow = async (req, res) => {
+  try {
+    const flow = await ApprovalFlow.findById(req.params.id);
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval flow not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'description', 'conditions', 'priority', 'stages', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        flow[field] = req.body[field];
+      }
+    });
+    flow.lastModifiedBy = req.user._id;
+
+    await flow.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'other',
+      description: `Updated approval flow: ${flow.name}`,
+      resourceType: 'System',
+      resourceId: flow._id,
+      metadata: { flowKey: flow.key, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval flow updated successfully',
+      data: { flow }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating approval flow',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate approval flow (requests already using it keep their snapshot)
+// @route   DELETE /api/approval-flows/:id
+// @access  Private (ICT Admin)
+exports.deactivateApprovalFlow = async (req, res) => {
+  try {
+    const flow = await ApprovalFlow.findById(req.params.id);
+
+    if (!flow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval flow not found'
+      });
+    }
+
+    flow.isActive = false;
+    flow.lastModifiedBy = req.user._id;
+    await flow.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'other',
+      description: `Deactivated approval flow: ${flow.name}`,
+      resourceType: 'System',
+      resourceId: flow._id,
+      metadata: { flowKey: flow.key },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval flow deactivated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating approval flow',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview which flow a request would be routed through
+// @route   POST /api/approval-flows/resolve
+// @access  Private (ICT Admin, Regional Coordinator)
+exports.resolveApprovalFlow = async (req, res) => {
+  try {
+    const { destination, division, vehicleType, durationOfTrip } = req.body;
+
+    const flow = await ApprovalFlow.resolveForRequest({
+      destination,
+      division,
+      vehicleType,
+      durationOfTrip
+    });
+
+    res.json({
+      success: true,
+      data: { flow }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving approval flow',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
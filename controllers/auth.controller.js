@@ -1,8 +1,8 @@
-// controllers/authController.js
-const User = require('../models/User');
-const ActivityLog = require('../models/ActivityLog');
+// controllers/auth.controller.js
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const { sendPasswordResetEmail } = require('../utils/mailer');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -74,5 +74,166 @@ exports.login = async (req, res) => {
   }
 };
 
-// Additional auth methods...
+// @desc    Get the logged-in user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('-password -passwordResetToken -passwordResetExpires')
+      .populate('relievingOfficer.officer', 'name staffId');
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching user', error: error.message });
+  }
+};
+
+// @desc    Log out. Tokens are stateless, so the client discards its
+//          token; this records the logout.
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'logout',
+      description: `${req.user.name} logged out`,
+      resourceType: 'System',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error logging out', error: error.message });
+  }
+};
+
+// Save a reset token for a user and email the link. Runs after the
+// response has gone out; failures are only logged.
+const sendResetLink = async (user, req) => {
+  const token = user.createPasswordResetToken();
+  await user.save();
+
+  try {
+    await sendPasswordResetEmail(user, token, { expiresAt: user.passwordResetExpires });
+  } catch (error) {
+    user.clearPasswordResetToken();
+    await user.save();
+    throw error;
+  }
+
+  await ActivityLog.createLog({
+    user: user._id,
+    staffName: user.name,
+    role: user.role,
+    action: 'password_reset',
+    description: `${user.name} requested a password reset`,
+    resourceType: 'User',
+    resourceId: user._id,
+    metadata: { stage: 'requested', expiresAt: user.passwordResetExpires },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+// @desc    Email a password reset link. The response is the same, and
+//          comes back as quickly, whether or not an account matches, so
+//          it cannot be used to find users.
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account matches, a password reset link has been sent to its email address'
+  };
+
+  try {
+    const { staffId, email } = req.body;
+
+    if (!staffId && !email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide your staff ID or email' 
+      });
+    }
+
+    const user = await User.findOne({
+      ...(staffId ? { staffId: String(staffId) } : { email: String(email).toLowerCase() }),
+      isActive: true
+    });
+
+    // Answer before saving the token or talking to the mail server, so
+    // the response time does not show whether an account matched
+    res.json(genericResponse);
+
+    if (user) {
+      sendResetLink(user, req).catch(error => {
+        console.error(`Error sending password reset email to user ${user._id}: ${error.message}`);
+      });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token. The token
+//          works once and existing sessions are signed out.
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a password of at least 6 characters' 
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reset link is invalid or has expired' 
+      });
+    }
+
+    user.resetPassword(password);
+    await user.save();
+
+    await ActivityLog.createLog({
+      user: user._id,
+      staffName: user.name,
+      role: user.role,
+      action: 'password_reset',
+      description: `${user.name} reset their password`,
+      resourceType: 'User',
+      resourceId: user._id,
+      metadata: { stage: 'completed' },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error resetting password', error: error.message });
+  }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,341 @@
+// controllers/driver.controller.js
+const Driver = require('../models/driver.model');
+const VehicleRequest = require('../models/vehicleRequest.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// @desc    Register driver
+// @route   POST /api/drivers
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.createDriver = async (req, res) => {
+  try {
+    const {
+      name, staffId, user, phone, licenceNumber,
+      licenceClass, licenceExpiry, homeStation, dutyStatus
+    } = req.body;
+
+    const driver = await Driver.create({
+      name,
+      staffId,
+      user,
+      phone,
+      licenceNumber,
+      licenceClass,
+      licenceExpiry,
+      homeStation,
+      dutyStatus,
+      createdBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'added_driver',
+      description: `Registered driver ${driver.name}`,
+      resourceType: 'Driver',
+      resourceId: driver._id,
+      metadata: { driverName: driver.name, licenceNumber: driver.licenceNumber },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Driver registered successfully',
+      data: { driver }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error registering driver',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all drivers
+// @route   GET /api/drivers
+// @access  Private (Vehicle Officer, ICT Admin, Regional Coordinator)
+exports.getDrivers = async (req, res) => {
+  try {
+    const { dutyStatus, licenceClass, homeStation, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (dutyStatus) query.dutyStatus = dutyStatus;
+    if (licenceClass) query.licenceClass = licenceClass;
+    if (homeStation) query.homeStation = homeStation;
+
+    const skip = (page - 1) * limit;
+
+    const [drivers, total] = await Promise.all([
+      Driver.find(query)
+        .sort('name')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Driver.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        drivers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching drivers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get drivers free for a trip window
+// @route   GET /api/drivers/available?requestId=|startDate=&endDate=
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.getAvailableDrivers = async (req, res) => {
+  try {
+    let { requestId, startDate, endDate, vehicleType } = req.query;
+
+    if (requestId) {
+      const request = await VehicleRequest.findById(requestId);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle request not found'
+        });
+      }
+      startDate = request.departureDate;
+      endDate = request.dateOfReturn;
+      vehicleType = vehicleType || request.vehicleType;
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a requestId or a startDate and endDate'
+      });
+    }
+
+    const busyTrips = await VehicleRequest.findOverlappingTrips(
+      { 'vehicleAssignment.driver': { $exists: true } },
+      startDate,
+      endDate,
+      requestId
+    );
+    const busyDriverIds = busyTrips.map(trip => trip.vehicleAssignment.driver);
+
+    let query = {
+      _id: { $nin: busyDriverIds },
+      dutyStatus: { $nin: ['on_leave', 'suspended'] },
+      licenceExpiry: { $gt: new Date(endDate) }
+    };
+    if (vehicleType) query.licenceClass = { $in: Driver.classesForVehicleType(vehicleType) };
+
+    const drivers = await Driver.find(query).sort('name');
+
+    res.json({
+      success: true,
+      data: { drivers }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching available drivers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single driver
+// @route   GET /api/drivers/:id
+// @access  Private (Vehicle Officer, ICT Admin, Regional Coordinator)
+exports.getDriver = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id)
+      .populate('user', 'name staffId email')
+      .populate('createdBy', 'name staffId')
+      .populate('lastModifiedBy', 'name staffId');
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { driver }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching driver',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get driver trip history
+// @route   GET /api/drivers/:id/trips
+// @access  Private (Vehicle Officer, ICT Admin, Regional Coordinator)
+exports.getDriverTrips = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    let query = { 'vehicleAssignment.driver': driver._id };
+    if (status) query.overallStatus = status;
+
+    const skip = (page - 1) * limit;
+
+    const [trips, total] = await Promise.all([
+      VehicleRequest.find(query)
+        .select('requestId name destination destinationDetails departureDate dateOfReturn overallStatus vehicleAssignment')
+        .populate('vehicleAssignment.vehicle', 'plateNumber make model vehicleType')
+        .sort('-departureDate')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      VehicleRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        driver,
+        trips,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching driver trips',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update driver
+// @route   PUT /api/drivers/:id
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.updateDriver = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'staffId', 'user', 'phone', 'licenceNumber',
+                           'licenceClass', 'licenceExpiry', 'homeStation', 'dutyStatus'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        driver[field] = req.body[field];
+      }
+    });
+    driver.lastModifiedBy = req.user._id;
+
+    await driver.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_driver',
+      description: `Updated driver ${driver.name}`,
+      resourceType: 'Driver',
+      resourceId: driver._id,
+      metadata: { driverName: driver.name, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Driver updated successfully',
+      data: { driver }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating driver',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete driver (only if they have no trip history)
+// @route   DELETE /api/drivers/:id
+// @access  Private (ICT Admin)
+exports.deleteDriver = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const hasTrips = await VehicleRequest.exists({ 'vehicleAssignment.driver': driver._id });
+    if (hasTrips) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver has trip history and cannot be deleted. Set their duty status instead'
+      });
+    }
+
+    await driver.deleteOne();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'deleted_driver',
+      description: `Deleted driver ${driver.name}`,
+      resourceType: 'Driver',
+      resourceId: driver._id,
+      metadata: { driverName: driver.name, licenceNumber: driver.licenceNumber },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Driver deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting driver',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,13 +1,139 @@
 // controllers/facilityController.js
-const Facility = require('../models/Facility');
-const ActivityLog = require('../models/ActivityLog');
+const Facility = require('../models/facility.model');
+const FacilityHistory = require('../models/facilityHistory.model');
+const ActivityLog = require('../models/activitylog.model');
+const { escapeRegex, tokenize, trigrams, trigramSimilarity, highlight } = require('../utils/search');
+const { FORMATS } = require('../utils/export');
+
+const SEARCH_FIELDS = 'name address serialNo status fileType location retailOutlets.outletName';
+// Minimum share of the query's trigrams a fuzzy match must contain
+const FUZZY_THRESHOLD = 0.5;
+// Zoom level from which the map shows individual facilities
+const MAP_CLUSTER_MAX_ZOOM = Number(process.env.MAP_CLUSTER_MAX_ZOOM) || 13;
+// Grid cells per 256px map tile when clustering
+const MAP_CELLS_PER_TILE = 4;
+const MAP_POINT_LIMIT = 2000;
+const MAP_CACHE_SECONDS = Number(process.env.MAP_CACHE_SECONDS) || 60;
+
+// Filters shared by the facility list and exports
+const buildFacilityQuery = ({ search, fileType, status, region }) => {
+  let query = {};
+
+  if (search) {
+    const pattern = escapeRegex(search);
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { address: { $regex: pattern, $options: 'i' } },
+      { serialNo: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  if (fileType) query.fileType = fileType;
+  if (status) query.status = status;
+  if (region) query.region = region.toUpperCase();
+  return query;
+};
+
+// Serial numbers stay reserved while a facility is in the recycle bin
+const serialNoTaken = async (serialNo, excludeId) => {
+  const existing = await Facility.findOne({ serialNo, _id: { $ne: excludeId } })
+    .setOptions({ withDeleted: true })
+    .select('deletedAt');
+  if (!existing) return null;
+  return existing.deletedAt
+    ? 'Serial number belongs to a deleted facility in the recycle bin. Restore it instead'
+    : 'Serial number is already in use';
+};
+
+const isValidLngLat = (lng, lat) =>
+  Number.isFinite(lng) && Number.isFinite(lat) &&
+  lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+
+// Web map tiles stop short of the poles
+const MAX_MAP_LATITUDE = 85;
+// Widest box piece and longest box edge, in degrees. $geoWithin reads an
+// edge as the shortest path between its ends, so edges of 180 degrees or
+// more are rejected or read as the wrong side of the globe.
+const BOX_PIECE_DEGREES = 90;
+const BOX_EDGE_DEGREES = 10;
+
+// Ring around a box, with extra points along its east-west edges so they
+// stay close to the lines of latitude
+const boxRing = (west, south, east, north) => {
+  const steps = Math.ceil((east - west) / BOX_EDGE_DEGREES);
+  const lngs = Array.from({ length: steps + 1 }, (_, i) => west + ((east - west) * i) / steps);
+  return [[
+    ...lngs.map(lng => [lng, south]),
+    ...[...lngs].reverse().map(lng => [lng, north]),
+    [west, south]
+  ]];
+};
+
+// Parse "minLng,minLat,maxLng,maxLat" into a GeoJSON MultiPolygon that is
+// safe for $geoWithin, or null if invalid. Latitude is clamped to
+// MAX_MAP_LATITUDE, minLng > maxLng crosses the antimeridian, and wide
+// boxes are split into pieces. bounds is the box actually searched.
+const bboxToGeometry = (bbox) => {
+  const [minLng, minLat, maxLng, maxLat] = String(bbox).split(',').map(Number);
+  if (!isValidLngLat(minLng, minLat) || !isValidLngLat(maxLng, maxLat) ||
+      minLng === maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  const south = Math.max(minLat, -MAX_MAP_LATITUDE);
+  const north = Math.min(maxLat, MAX_MAP_LATITUDE);
+  if (south >= north) return null;
+
+  const ranges = minLng < maxLng ? [[minLng, maxLng]] : [[minLng, 180], [-180, maxLng]];
+  const coordinates = [];
+  ranges.forEach(([west, east]) => {
+    for (let lng = west; lng < east; lng += BOX_PIECE_DEGREES) {
+      coordinates.push(boxRing(lng, south, Math.min(lng + BOX_PIECE_DEGREES, east), north));
+    }
+  });
+
+  return {
+    geometry: { type: 'MultiPolygon', coordinates },
+    bounds: [minLng, south, maxLng, north]
+  };
+};
+
+// Parse a JSON array of [lng, lat] points into a closed GeoJSON polygon ring
+const parsePolygon = (polygon) => {
+  let points;
+  try {
+    points = JSON.parse(polygon);
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(points) || points.length < 3 ||
+      !points.every(point => Array.isArray(point) && isValidLngLat(Number(point[0]), Number(point[1])))) {
+    return null;
+  }
+  const ring = points.map(([lng, lat]) => [Number(lng), Number(lat)]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  // Edges must be shorter than 180 degrees to be read as drawn
+  if (ring.some((point, i) => i > 0 && Math.abs(point[0] - ring[i - 1][0]) >= 180)) return null;
+  return [ring];
+};
 
 // @desc    Create new facility
 // @route   POST /api/facilities
 // @access  Private (ROM Supervisor, ICT Admin)
 exports.createFacility = async (req, res) => {
   try {
-    const { name, address, serialNo, fileType, location, takenOverBy } = req.body;
+    // Takeover details and the Taken Over status are set only by an
+    // approved takeover case, so they are not read from the body
+    const { name, address, serialNo, fileType, location, region } = req.body;
+
+    const serialNoError = serialNo && await serialNoTaken(serialNo);
+    if (serialNoError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: serialNoError 
+      });
+    }
 
     const facility = await Facility.create({
       name,
@@ -15,11 +141,17 @@ exports.createFacility = async (req, res) => {
       serialNo,
       fileType,
       location,
-      takenOverBy,
-      createdBy: req.user._id,
-      status: takenOverBy?.company ? 'Taken Over' : 'Active'
+      region,
+      createdBy: req.user._id
     });
 
+    await FacilityHistory.record(
+      facility._id,
+      FacilityHistory.diff({}, facility.toObject()),
+      req.user._id,
+      { action: 'created' }
+    );
+
     await ActivityLog.createLog({
       user: req.user._id,
       staffName: req.user.name,
@@ -52,20 +184,8 @@ exports.createFacility = async (req, res) => {
 // @access  Private
 exports.getFacilities = async (req, res) => {
   try {
-    const { search, fileType, status, page = 1, limit = 20 } = req.query;
-    
-    let query = {};
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { address: { $regex: search, $options: 'i' } },
-        { serialNo: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (fileType) query.fileType = fileType;
-    if (status) query.status = status;
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildFacilityQuery(req.query);
 
     const skip = (page - 1) * limit;
     
@@ -100,6 +220,84 @@ exports.getFacilities = async (req, res) => {
   }
 };
 
+// Write a chunk, waiting for the response to drain when its buffer is full.
+// Also stops waiting if the client disconnects, as 'drain' then never comes.
+const writeChunk = (res, chunk) => new Promise(resolve => {
+  if (!chunk || res.destroyed || res.write(chunk)) return resolve();
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// @desc    Export the filtered facility list as CSV, GeoJSON or KML.
+//          Facilities are streamed from a cursor, not loaded all at once.
+// @route   GET /api/facilities/export?format=csv|geojson|kml
+// @access  Private (export_data permission)
+exports.exportFacilities = async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (typeof format !== 'string' || !Object.hasOwn(FORMATS, format)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` 
+    });
+  }
+
+  const serializer = FORMATS[format];
+  const query = buildFacilityQuery(req.query);
+  const cursor = Facility.find(query)
+    .select('name serialNo address region fileType status takenOverBy.company takenOverBy.date location mapUrl retailOutlets._id createdAt updatedAt')
+    .sort('name')
+    .lean()
+    .cursor();
+
+  let count = 0;
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': serializer.contentType,
+      'Content-Disposition': `attachment; filename="facilities-${date}.${serializer.extension}"`
+    });
+
+    await writeChunk(res, serializer.header(`Facilities ${date}`));
+    for await (const facility of cursor) {
+      if (res.destroyed) break;
+      await writeChunk(res, serializer.row(facility, count));
+      count++;
+    }
+
+    // The client went away part way through
+    if (res.destroyed) return;
+    res.end(serializer.footer());
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.isActingAs?.role || req.user.role,
+      action: 'exported_data',
+      description: `Exported ${count} facilities as ${format.toUpperCase()}`,
+      resourceType: 'Facility',
+      metadata: { format, count, filters: query },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error exporting facilities', 
+      error: error.message 
+    });
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
+
 // @desc    Get single facility
 // @route   GET /api/facilities/:id
 // @access  Private
@@ -120,7 +318,10 @@ exports.getFacility = async (req, res) => {
 
     res.json({
       success: true,
-      data: { facility }
+      data: {
+        facility,
+        documentAlerts: facility.getDocumentAlerts()
+      }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -145,25 +346,45 @@ exports.updateFacility = async (req, res) => {
       });
     }
 
-    const oldData = facility.toObject();
+    if (req.body.status !== undefined && req.body.status !== facility.status &&
+        [req.body.status, facility.status].includes('Taken Over')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A facility is marked or unmarked as Taken Over only through a takeover case' 
+      });
+    }
+
+    if (req.body.serialNo !== undefined && req.body.serialNo !== facility.serialNo) {
+      const serialNoError = await serialNoTaken(req.body.serialNo, facility._id);
+      if (serialNoError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: serialNoError 
+        });
+      }
+    }
+
+    const before = facility.toObject();
     
     // Update fields
-    const allowedUpdates = ['name', 'address', 'serialNo', 'location', 'mapUrl', 
-                           'takenOverBy', 'fileType', 'status', 'retailOutlets'];
+    // Retail outlets are managed through the outlet endpoints so their
+    // reading history stays attached. Takeover details come only from an
+    // approved takeover case.
+    const allowedUpdates = ['name', 'address', 'serialNo', 'location', 'mapUrl', 'region',
+                           'fileType', 'status'];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         facility[field] = req.body[field];
       }
     });
 
-    // Add modification history
-    facility.addModification(req.user._id, {
-      oldData: oldData,
-      newData: req.body
-    });
+    facility.lastModifiedBy = req.user._id;
 
     await facility.save();
 
+    const changes = FacilityHistory.diff(before, facility.toObject());
+    const revision = await FacilityHistory.record(facility._id, changes, req.user._id);
+
     await ActivityLog.createLog({
       user: req.user._id,
       staffName: req.user.name,
@@ -172,7 +393,7 @@ exports.updateFacility = async (req, res) => {
       description: `Updated facility: ${facility.name}`,
       resourceType: 'Facility',
       resourceId: facility._id,
-      metadata: { facilityName: facility.name },
+      metadata: { facilityName: facility.name, revision: revision?.revision, changes },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
@@ -191,11 +412,12 @@ exports.updateFacility = async (req, res) => {
   }
 };
 
-// @desc    Delete facility
+// @desc    Delete facility (moves it to the recycle bin)
 // @route   DELETE /api/facilities/:id
 // @access  Private (ICT Admin only)
 exports.deleteFacility = async (req, res) => {
   try {
+    const { reason } = req.body || {};
     const facility = await Facility.findById(req.params.id);
 
     if (!facility) {
@@ -205,7 +427,8 @@ exports.deleteFacility = async (req, res) => {
       });
     }
 
-    await facility.deleteOne();
+    facility.softDelete(req.user._id, reason);
+    await facility.save();
 
     await ActivityLog.createLog({
       user: req.user._id,
@@ -215,14 +438,15 @@ exports.deleteFacility = async (req, res) => {
       description: `Deleted facility: ${facility.name}`,
       resourceType: 'Facility',
       resourceId: facility._id,
-      metadata: { facilityName: facility.name, serialNo: facility.serialNo },
+      metadata: { facilityName: facility.name, serialNo: facility.serialNo, reason },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
 
     res.json({
       success: true,
-      message: 'Facility deleted successfully'
+      message: `Facility moved to the recycle bin. It will be permanently deleted after ${Facility.RETENTION_DAYS} days`,
+      data: { purgeAfter: facility.purgeAfter() }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -233,22 +457,644 @@ exports.deleteFacility = async (req, res) => {
   }
 };
 
-// @desc    Search facilities by station name
+// @desc    Documents expiring within `days` days (default: the longest
+//          reminder lead time), soonest first. Expired documents are
+//          included unless includeExpired=false.
+// @route   GET /api/facilities/expiring
+// @access  Private
+exports.getExpiringDocuments = async (req, res) => {
+  try {
+    const { category, region, includeExpired, page = 1, limit = 50 } = req.query;
+    const days = Number(req.query.days) || Facility.EXPIRY_REMINDER_DAYS[0] || 90;
+    const now = new Date();
+
+    let expiresAt = { $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) };
+    if (includeExpired === 'false') expiresAt.$gt = now;
+
+    // Aggregations skip the soft-delete hook
+    let match = { deletedAt: null };
+    if (region) match.region = region.toUpperCase();
+
+    let documentMatch = { 'document.expiresAt': expiresAt };
+    if (category) documentMatch['document.category'] = category;
+
+    const skip = (page - 1) * limit;
+
+    const [result] = await Facility.aggregate([
+      { $match: { ...match, 'takenOverBy.documents.expiresAt': expiresAt } },
+      { $unwind: '$takenOverBy.documents' },
+      { $project: { name: 1, serialNo: 1, region: 1, status: 1, document: '$takenOverBy.documents' } },
+      { $match: documentMatch },
+      { $sort: { 'document.expiresAt': 1 } },
+      {
+        $facet: {
+          documents: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $project: {
+                _id: '$document._id',
+                facility: { _id: '$_id', name: '$name', serialNo: '$serialNo', region: '$region', status: '$status' },
+                category: '$document.category',
+                filename: '$document.filename',
+                issuedAt: '$document.issuedAt',
+                expiresAt: '$document.expiresAt',
+                expired: { $lte: ['$document.expiresAt', now] },
+                daysToExpiry: {
+                  $ceil: { $divide: [{ $subtract: ['$document.expiresAt', now] }, 24 * 60 * 60 * 1000] }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        documents: result.documents,
+        days,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expiring documents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get soft-deleted facilities
+// @route   GET /api/facilities/recycle-bin
+// @access  Private (ICT Admin only)
+exports.getRecycleBin = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { deletedAt: { $ne: null } };
+
+    const skip = (page - 1) * limit;
+
+    const [facilities, total] = await Promise.all([
+      Facility.find(query)
+        .select('name serialNo address fileType status region deletedAt deletedBy deletionReason')
+        .populate('deletedBy', 'name staffId email')
+        .sort('-deletedAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Facility.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        facilities: facilities.map(facility => ({
+          ...facility.toObject(),
+          purgeAfter: facility.purgeAfter()
+        })),
+        retentionDays: Facility.RETENTION_DAYS,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching recycle bin', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Restore a facility from the recycle bin
+// @route   POST /api/facilities/:id/restore
+// @access  Private (ICT Admin only)
+exports.restoreFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!facility) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Facility not found in the recycle bin' 
+      });
+    }
+
+    const { deletedAt, deletedBy } = facility;
+    facility.restore();
+    facility.lastModifiedBy = req.user._id;
+    await facility.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'restored_facility',
+      description: `Restored facility: ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: { facilityName: facility.name, serialNo: facility.serialNo, deletedAt, deletedBy },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Facility restored successfully',
+      data: { facility }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error restoring facility', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get facilities near a point, nearest first
+// @route   GET /api/facilities/near?lng=&lat=&radius=
+// @access  Private
+exports.getFacilitiesNear = async (req, res) => {
+  try {
+    const { status, fileType, radius = 10000, limit = 20 } = req.query;
+    const lng = Number(req.query.lng);
+    const lat = Number(req.query.lat);
+
+    if (!isValidLngLat(lng, lat)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a valid lng and lat' 
+      });
+    }
+
+    // radius is in metres
+    const maxDistance = Number(radius);
+    if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'radius must be a positive number of metres' 
+      });
+    }
+
+    const maxResults = Number(limit);
+    if (!Number.isInteger(maxResults) || maxResults < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'limit must be a positive whole number' 
+      });
+    }
+
+    // Aggregations skip the soft-delete query hook
+    let query = { deletedAt: null };
+    if (status) query.status = status;
+    if (fileType) query.fileType = fileType;
+
+    const facilities = await Facility.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          distanceField: 'distance',
+          maxDistance,
+          query,
+          spherical: true
+        }
+      },
+      { $limit: Math.min(maxResults, 100) },
+      { $project: { modifications: 0 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: { facilities }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching nearby facilities', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get facilities inside a map viewport or polygon. A bbox with
+//          minLng > maxLng crosses the antimeridian.
+// @route   GET /api/facilities/within?bbox=minLng,minLat,maxLng,maxLat
+//          GET /api/facilities/within?polygon=[[lng,lat],...]
+// @access  Private
+exports.getFacilitiesWithin = async (req, res) => {
+  try {
+    const { bbox, polygon, status, fileType, limit = 500 } = req.query;
+
+    let geometry = null;
+    if (polygon) {
+      const coordinates = parsePolygon(polygon);
+      if (coordinates) geometry = { type: 'Polygon', coordinates };
+    } else if (bbox) {
+      geometry = bboxToGeometry(bbox)?.geometry;
+    }
+
+    if (!geometry) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a valid bbox (minLng,minLat,maxLng,maxLat) or polygon' 
+      });
+    }
+
+    const maxResults = Number(limit);
+    if (!Number.isInteger(maxResults) || maxResults < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'limit must be a positive whole number' 
+      });
+    }
+
+    let query = {
+      location: {
+        $geoWithin: { $geometry: geometry }
+      }
+    };
+    if (status) query.status = status;
+    if (fileType) query.fileType = fileType;
+
+    const facilities = await Facility.find(query)
+      .select('name address serialNo location status fileType')
+      .limit(Math.min(maxResults, 2000));
+
+    res.json({
+      success: true,
+      data: { facilities, total: facilities.length }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching facilities in area', 
+      error: error.message 
+    });
+  }
+};
+
+// Widen a searched box to whole grid cells so edge clusters are complete
+// and nearby viewports produce the same response
+const snapToGrid = ([minLng, minLat, maxLng, maxLat], cellSize) => {
+  let west = Math.max(Math.floor(minLng / cellSize) * cellSize, -180);
+  let east = Math.min(Math.ceil(maxLng / cellSize) * cellSize, 180);
+  // A box across the antimeridian can widen to cover every longitude
+  if (minLng > maxLng && west <= east) [west, east] = [-180, 180];
+  return bboxToGeometry([
+    west,
+    Math.floor(minLat / cellSize) * cellSize,
+    east,
+    Math.ceil(maxLat / cellSize) * cellSize
+  ].map(value => Math.min(Math.max(value, -180), 180)).join(','));
+};
+
+const toPointFeature = (facility) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: facility.coordinates },
+  properties: {
+    cluster: false,
+    _id: facility._id,
+    name: facility.name,
+    serialNo: facility.serialNo,
+    status: facility.status,
+    fileType: facility.fileType
+  }
+});
+
+// @desc    Map feed for a viewport: grid clusters with a count, centroid
+//          and status breakdown below MAP_CLUSTER_MAX_ZOOM, individual
+//          facilities from it. Responses are cacheable for a short time.
+// @route   GET /api/facilities/map?bbox=minLng,minLat,maxLng,maxLat&zoom=
+// @access  Private
+exports.getFacilityMap = async (req, res) => {
+  try {
+    const { bbox, status, fileType, region } = req.query;
+    const zoom = Number(req.query.zoom);
+    let area = bbox ? bboxToGeometry(bbox) : null;
+
+    if (!area || !Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid bbox (minLng,minLat,maxLng,maxLat) and zoom (0-22)'
+      });
+    }
+
+    const clustered = zoom < MAP_CLUSTER_MAX_ZOOM;
+    const cellSize = 360 / (2 ** zoom) / MAP_CELLS_PER_TILE;
+    if (clustered) area = snapToGrid(area.bounds, cellSize);
+
+    // Aggregations skip the soft-delete hook. Facilities without
+    // coordinates are stored at [0, 0] and left off the map.
+    let query = {
+      deletedAt: null,
+      location: {
+        $geoWithin: { $geometry: area.geometry }
+      },
+      'location.coordinates': { $ne: [0, 0] }
+    };
+    if (status) query.status = status;
+    if (fileType) query.fileType = fileType;
+    if (region) query.region = region.toUpperCase();
+
+    const pipeline = [
+      { $match: query },
+      {
+        $project: {
+          name: 1,
+          serialNo: 1,
+          status: 1,
+          fileType: 1,
+          coordinates: '$location.coordinates',
+          lng: { $arrayElemAt: ['$location.coordinates', 0] },
+          lat: { $arrayElemAt: ['$location.coordinates', 1] }
+        }
+      }
+    ];
+
+    if (clustered) {
+      pipeline.push(
+        {
+          $group: {
+            _id: {
+              x: { $floor: { $divide: ['$lng', cellSize] } },
+              y: { $floor: { $divide: ['$lat', cellSize] } },
+              status: '$status'
+            },
+            count: { $sum: 1 },
+            lngSum: { $sum: '$lng' },
+            latSum: { $sum: '$lat' },
+            facility: { $first: '$$ROOT' }
+          }
+        },
+        {
+          $group: {
+            _id: { x: '$_id.x', y: '$_id.y' },
+            count: { $sum: '$count' },
+            lngSum: { $sum: '$lngSum' },
+            latSum: { $sum: '$latSum' },
+            statuses: { $push: { k: { $ifNull: ['$_id.status', 'Unknown'] }, v: '$count' } },
+            facility: { $first: '$facility' }
+          }
+        },
+        {
+          $project: {
+            count: 1,
+            centroid: [{ $divide: ['$lngSum', '$count'] }, { $divide: ['$latSum', '$count'] }],
+            statusBreakdown: { $arrayToObject: '$statuses' },
+            facility: 1
+          }
+        }
+      );
+    } else {
+      pipeline.push({ $limit: MAP_POINT_LIMIT + 1 });
+    }
+
+    const results = await Facility.aggregate(pipeline);
+
+    let features;
+    let truncated = false;
+    if (clustered) {
+      // A cell holding one facility is shown as that facility
+      features = results.map(cell => cell.count === 1
+        ? toPointFeature(cell.facility)
+        : {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: cell.centroid },
+          properties: {
+            cluster: true,
+            count: cell.count,
+            statusBreakdown: cell.statusBreakdown
+          }
+        });
+    } else {
+      truncated = results.length > MAP_POINT_LIMIT;
+      features = results.slice(0, MAP_POINT_LIMIT).map(toPointFeature);
+    }
+
+    const total = clustered
+      ? results.reduce((sum, cell) => sum + cell.count, 0)
+      : Math.min(results.length, MAP_POINT_LIMIT);
+
+    // Express adds an ETag, so an unchanged feed is answered with 304
+    res.set('Cache-Control', `private, max-age=${MAP_CACHE_SECONDS}`);
+    res.json({
+      success: true,
+      data: {
+        type: 'FeatureCollection',
+        zoom,
+        clustered,
+        bbox: area.bounds,
+        total,
+        truncated,
+        features
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facility map',
+      error: error.message
+    });
+  }
+};
+
+// Match fragments for each searchable field of a facility
+const buildHighlights = (facility, terms) => ({
+  name: highlight(facility.name, terms),
+  serialNo: highlight(facility.serialNo, terms),
+  address: highlight(facility.address, terms),
+  retailOutlets: (facility.retailOutlets || [])
+    .flatMap(outlet => highlight(outlet.outletName, terms))
+});
+
+// Facilities whose trigrams overlap the query enough, best match first
+const fuzzyMatch = async (q, filters, limit) => {
+  const grams = trigrams(q);
+  if (!grams.length) return [];
+
+  const candidates = await Facility.find({ searchTrigrams: { $in: grams }, ...filters })
+    .select(`${SEARCH_FIELDS} +searchTrigrams`)
+    .limit(500);
+
+  return candidates
+    .map(facility => ({ facility, score: trigramSimilarity(grams, facility.searchTrigrams) }))
+    .filter(({ score }) => score >= FUZZY_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Ranked search: weighted text index first, fuzzy trigram match if the
+// text index finds nothing (e.g. a misspelt station name)
+const runSearch = async ({ q, status, fileType, page = 1, limit = 20 }) => {
+  const terms = tokenize(q);
+  let filters = {};
+  if (status) filters.status = status;
+  if (fileType) filters.fileType = fileType;
+
+  const skip = (page - 1) * limit;
+  const textQuery = { $text: { $search: q }, ...filters };
+
+  const [matches, total] = await Promise.all([
+    Facility.find(textQuery, { score: { $meta: 'textScore' } })
+      .select(SEARCH_FIELDS)
+      .sort({ score: { $meta: 'textScore' } })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Facility.countDocuments(textQuery)
+  ]);
+
+  if (matches.length || page > 1) {
+    return {
+      mode: 'text',
+      total,
+      results: matches.map(facility => ({
+        ...facility.toObject(),
+        score: facility.get('score'),
+        highlights: buildHighlights(facility, terms)
+      }))
+    };
+  }
+
+  const fuzzy = await fuzzyMatch(q, filters, parseInt(limit));
+  return {
+    mode: 'fuzzy',
+    total: fuzzy.length,
+    results: fuzzy.map(({ facility, score }) => {
+      const { searchTrigrams, ...rest } = facility.toObject();
+      return { ...rest, score, highlights: buildHighlights(facility, terms) };
+    })
+  };
+};
+
+// @desc    Ranked full-text search over name, serialNo, outlets and address
+// @route   GET /api/facilities/search?q=
+// @access  Private
+exports.search = async (req, res) => {
+  try {
+    const { q, status, fileType, page = 1, limit = 20 } = req.query;
+
+    if (!q || !tokenize(q).length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a search term' 
+      });
+    }
+
+    const { mode, total, results } = await runSearch({
+      q, status, fileType, page: parseInt(page), limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        mode,
+        facilities: results,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error searching facilities', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Autocomplete suggestions: prefix matches, topped up with typo-tolerant matches
+// @route   GET /api/facilities/suggest?q=
+// @access  Private
+exports.suggest = async (req, res) => {
+  try {
+    const { q, status, limit = 10 } = req.query;
+    const max = Math.min(parseInt(limit), 25);
+
+    if (!q || !tokenize(q).length) {
+      return res.json({ success: true, data: { suggestions: [] } });
+    }
+
+    let filters = {};
+    if (status) filters.status = status;
+
+    const prefix = escapeRegex(q.trim());
+    const prefixMatches = await Facility.find({
+      ...filters,
+      $or: [
+        { serialNo: { $regex: `^${prefix}`, $options: 'i' } },
+        { name: { $regex: `(^|\\s)${prefix}`, $options: 'i' } }
+      ]
+    })
+      .select('name serialNo status')
+      .sort('name')
+      .limit(max);
+
+    const seen = new Set(prefixMatches.map(facility => String(facility._id)));
+    const fuzzy = prefixMatches.length < max
+      ? (await fuzzyMatch(q, filters, max)).filter(({ facility }) => !seen.has(String(facility._id)))
+      : [];
+
+    const terms = tokenize(q);
+    const suggestions = [
+      ...prefixMatches.map(facility => ({ facility, score: 1, match: 'prefix' })),
+      ...fuzzy.map(({ facility, score }) => ({ facility, score, match: 'fuzzy' }))
+    ]
+      .slice(0, max)
+      .map(({ facility, score, match }) => ({
+        _id: facility._id,
+        name: facility.name,
+        serialNo: facility.serialNo,
+        status: facility.status,
+        score,
+        match,
+        highlight: highlight(facility.name, terms)[0] || facility.name
+      }));
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching suggestions', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Search facilities by station name (kept for existing clients;
+//          uses the ranked search)
 // @route   GET /api/facilities/search/:stationName
 // @access  Private
 exports.searchFacilities = async (req, res) => {
   try {
     const { stationName } = req.params;
 
-    const facilities = await Facility.find({
-      name: { $regex: stationName, $options: 'i' }
-    })
-    .populate('createdBy', 'name staffId')
-    .limit(10);
+    const { mode, results } = await runSearch({ q: stationName, limit: 10 });
 
     res.json({
       success: true,
-      data: { facilities }
+      data: { mode, facilities: results }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -0,0 +1,603 @@
+// controllers/facilityDocument.controller.js
+const Facility = require('../models/facility.model');
+const ActivityLog = require('../models/activitylog.model');
+const { getStorage, storeFile, sendStoredFile } = require('../utils/storage');
+
+// Lock state returned to clients
+const describeCheckout = (doc) => doc.isCheckedOut()
+  ? { checkedOut: true, ...doc.checkout.toObject() }
+  : { checkedOut: false };
+
+const lockedResponse = (res, doc) => res.status(423).json({
+  success: false,
+  message: 'Document is checked out by another user',
+  data: { checkout: describeCheckout(doc) }
+});
+
+// Another user checked the document out between our read and our write
+const conflictResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'Document was checked out by another user while saving, please reload and try again'
+});
+
+// Update filter matching a document that is not checked out, or is checked
+// out by userId. holder, when given, must instead still hold the check-out.
+const lockCondition = (doc, userId, { holder } = {}) => ({
+  'takenOverBy.documents': {
+    $elemMatch: holder === undefined
+      ? {
+          _id: doc._id,
+          $or: [
+            { 'checkout.user': null },
+            { 'checkout.expiresAt': { $lte: new Date() } },
+            { 'checkout.user': userId }
+          ]
+        }
+      : { _id: doc._id, 'checkout.user': holder }
+  }
+});
+
+// Save the facility only while the document's lock still matches what was
+// checked. Resolves to false when a check-out was taken in the meantime.
+const saveUnlessLocked = async (facility, condition) => {
+  facility.$where = condition;
+  try {
+    await facility.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') return false;
+    throw error;
+  }
+};
+
+// Find a facility and one of its stored documents
+const findDocument = async (facilityId, documentId) => {
+  const facility = await Facility.findById(facilityId);
+  const doc = facility?.takenOverBy?.documents?.id(documentId);
+  return { facility, doc };
+};
+
+// @desc    Upload facility documents. category, issuedAt and expiresAt
+//          apply to every file in the request.
+// @route   POST /api/facilities/:id/documents
+// @access  Private (upload_files permission)
+exports.uploadDocuments = async (req, res) => {
+  try {
+    const { category, issuedAt, expiresAt, changeNote } = req.body;
+
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one file'
+      });
+    }
+
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    if (!facility.takenOverBy) facility.takenOverBy = {};
+
+    const uploaded = [];
+    const storedKeys = [];
+    for (const file of req.files) {
+      const stored = await storeFile(`facilities/${facility._id}`, file);
+      storedKeys.push(stored.storageKey);
+      facility.takenOverBy.documents.push({ category });
+
+      const doc = facility.takenOverBy.documents[facility.takenOverBy.documents.length - 1];
+      doc.addVersion({ filename: file.originalname, ...stored }, req.user._id, { changeNote });
+      doc.setValidity({ issuedAt, expiresAt });
+      doc.fileUrl = `/api/facilities/${facility._id}/documents/${doc._id}/download`;
+      uploaded.push(doc);
+    }
+
+    facility.lastModifiedBy = req.user._id;
+    try {
+      await facility.save();
+    } catch (error) {
+      // Do not leave orphaned files behind
+      await Promise.all(storedKeys.map(key => getStorage().remove(key)));
+      throw error;
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: facility.fileType === 'Take Over File' ? 'uploaded_takeover_file' : 'uploaded_general_file',
+      description: `Uploaded ${uploaded.length} document(s) to facility: ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        documents: uploaded.map(doc => ({
+          filename: doc.filename,
+          category: doc.category,
+          expiresAt: doc.expiresAt,
+          size: doc.size,
+          checksum: doc.checksum
+        }))
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: { documents: uploaded }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error uploading documents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List facility documents
+// @route   GET /api/facilities/:id/documents
+// @access  Private
+exports.getDocuments = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id)
+      .select('name takenOverBy.documents')
+      .populate('takenOverBy.documents.uploadedBy', 'name staffId');
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        documents: facility.takenOverBy?.documents || [],
+        alerts: facility.getDocumentAlerts()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching documents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a document's category and validity dates
+// @route   PUT /api/facilities/:id/documents/:docId
+// @access  Private (upload_files permission)
+exports.updateDocument = async (req, res) => {
+  try {
+    const { category, issuedAt, expiresAt } = req.body;
+    const { facility, doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (doc.isLockedFor(req.user._id)) {
+      return lockedResponse(res, doc);
+    }
+
+    if (category !== undefined) doc.category = category;
+    doc.setValidity({ issuedAt, expiresAt });
+    facility.lastModifiedBy = req.user._id;
+
+    if (!(await saveUnlessLocked(facility, lockCondition(doc, req.user._id)))) {
+      return conflictResponse(res);
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_facility_document',
+      description: `Updated details of ${doc.filename} at facility: ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        documentId: doc._id,
+        category: doc.category,
+        issuedAt: doc.issuedAt,
+        expiresAt: doc.expiresAt
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Document updated successfully',
+      data: { document: doc }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download facility document as an attachment
+// @route   GET /api/facilities/:id/documents/:docId/download
+// @access  Private
+exports.downloadDocument = async (req, res) => {
+  try {
+    const { doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(req, res, doc, 'attachment');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stream facility document inline (supports Range requests)
+// @route   GET /api/facilities/:id/documents/:docId/stream
+// @access  Private
+exports.streamDocument = async (req, res) => {
+  try {
+    const { doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(req, res, doc, 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error streaming document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload a new version of a document. A renewed licence or
+//          certificate can carry its new issuedAt and expiresAt.
+// @route   POST /api/facilities/:id/documents/:docId/versions
+// @access  Private (upload_files permission)
+exports.uploadVersion = async (req, res) => {
+  try {
+    const { changeNote, keepCheckedOut, issuedAt, expiresAt } = req.body;
+    const file = req.files?.[0];
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach the new version'
+      });
+    }
+
+    const { facility, doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (doc.isLockedFor(req.user._id)) {
+      return lockedResponse(res, doc);
+    }
+
+    const stored = await storeFile(`facilities/${facility._id}`, file);
+    const version = doc.addVersion({ filename: file.originalname, ...stored }, req.user._id, { changeNote });
+    doc.setValidity({ issuedAt, expiresAt });
+
+    // Uploading a new version checks the document back in unless asked not to
+    if (String(keepCheckedOut) !== 'true') doc.checkIn();
+
+    facility.lastModifiedBy = req.user._id;
+    let saved;
+    try {
+      saved = await saveUnlessLocked(facility, lockCondition(doc, req.user._id));
+    } catch (error) {
+      await getStorage().remove(stored.storageKey);
+      throw error;
+    }
+    if (!saved) {
+      await getStorage().remove(stored.storageKey);
+      return conflictResponse(res);
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: facility.fileType === 'Take Over File' ? 'uploaded_takeover_file' : 'uploaded_general_file',
+      description: `Uploaded version ${version.versionNumber} of ${doc.filename} to facility: ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        documentId: doc._id,
+        versionNumber: version.versionNumber,
+        checksum: version.checksum,
+        expiresAt: doc.expiresAt,
+        changeNote
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.versionNumber} uploaded successfully`,
+      data: { document: doc, version }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error uploading document version',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List versions of a document, newest first
+// @route   GET /api/facilities/:id/documents/:docId/versions
+// @access  Private
+exports.getVersions = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id)
+      .populate('takenOverBy.documents.versions.uploadedBy', 'name staffId')
+      .populate('takenOverBy.documents.checkout.user', 'name staffId');
+    const doc = facility?.takenOverBy?.documents?.id(req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    doc.ensureVersions();
+    const versions = [...doc.versions]
+      .sort((a, b) => b.versionNumber - a.versionNumber)
+      .map(version => ({
+        ...version.toObject(),
+        isCurrent: version.versionNumber === doc.currentVersion,
+        downloadUrl: `/api/facilities/${facility._id}/documents/${doc._id}/versions/${version.versionNumber}/download`
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        documentId: doc._id,
+        currentVersion: doc.currentVersion,
+        checkout: describeCheckout(doc),
+        versions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document versions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a specific version of a document
+// @route   GET /api/facilities/:id/documents/:docId/versions/:version/download
+// @access  Private
+exports.downloadVersion = async (req, res) => {
+  try {
+    const { doc } = await findDocument(req.params.id, req.params.docId);
+    const version = doc?.getVersion(req.params.version);
+
+    if (!version?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document version not found'
+      });
+    }
+
+    await sendStoredFile(req, res, version, 'attachment');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading document version',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore an older version by making a copy of it the newest version
+// @route   POST /api/facilities/:id/documents/:docId/versions/:version/restore
+// @access  Private (upload_files permission)
+exports.restoreVersion = async (req, res) => {
+  try {
+    const { facility, doc } = await findDocument(req.params.id, req.params.docId);
+    const source = doc?.getVersion(req.params.version);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document version not found'
+      });
+    }
+
+    if (doc.isLockedFor(req.user._id)) {
+      return lockedResponse(res, doc);
+    }
+
+    if (source.versionNumber === doc.currentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version'
+      });
+    }
+
+    // Versions are immutable, so the restored version can share the stored file
+    const version = doc.addVersion(source.toObject(), req.user._id, {
+      changeNote: req.body.changeNote || `Restored from version ${source.versionNumber}`,
+      restoredFrom: source.versionNumber
+    });
+
+    facility.lastModifiedBy = req.user._id;
+    if (!(await saveUnlessLocked(facility, lockCondition(doc, req.user._id)))) {
+      return conflictResponse(res);
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_facility',
+      description: `Restored version ${source.versionNumber} of ${doc.filename} for facility: ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        documentId: doc._id,
+        restoredFrom: source.versionNumber,
+        versionNumber: version.versionNumber
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${source.versionNumber} restored as version ${version.versionNumber}`,
+      data: { document: doc, version }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring document version',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check out a document for editing
+// @route   POST /api/facilities/:id/documents/:docId/checkout
+// @access  Private (upload_files permission)
+exports.checkOutDocument = async (req, res) => {
+  try {
+    const { note, hours } = req.body;
+    const { facility, doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (doc.isLockedFor(req.user._id)) {
+      return lockedResponse(res, doc);
+    }
+
+    // Take the lock in one conditional update so two people checking out
+    // at the same moment cannot both succeed
+    doc.checkOut(req.user._id, { note, hours: Number(hours) || undefined });
+    const updated = await Facility.findOneAndUpdate(
+      { _id: facility._id, ...lockCondition(doc, req.user._id) },
+      { $set: { 'takenOverBy.documents.$.checkout': doc.checkout.toObject() } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const { doc: current } = await findDocument(req.params.id, req.params.docId);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+      return lockedResponse(res, current);
+    }
+
+    res.json({
+      success: true,
+      message: 'Document checked out',
+      data: { checkout: describeCheckout(updated.takenOverBy.documents.id(doc._id)) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking out document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Release a document check-out (holder, or ICT Admin to force)
+// @route   POST /api/facilities/:id/documents/:docId/checkin
+// @access  Private (upload_files permission, ICT Admin)
+exports.checkInDocument = async (req, res) => {
+  try {
+    const { facility, doc } = await findDocument(req.params.id, req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+    const locked = doc.isLockedFor(req.user._id);
+    if (locked && userRole !== 'ICT Admin') {
+      return lockedResponse(res, doc);
+    }
+
+    // A forced check-in releases only the check-out the admin saw
+    const condition = locked
+      ? lockCondition(doc, req.user._id, { holder: doc.checkout.user })
+      : lockCondition(doc, req.user._id);
+
+    doc.checkIn();
+    if (!(await saveUnlessLocked(facility, condition))) {
+      return conflictResponse(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Document checked in',
+      data: { checkout: describeCheckout(doc) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking in document',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
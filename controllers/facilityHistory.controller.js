@@ -0,0 +1,191 @@
+// controllers/facilityHistory.controller.js
+const Facility = require('../models/facility.model');
+const FacilityHistory = require('../models/facilityHistory.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// @desc    Get change timeline of a facility, newest first
+// @route   GET /api/facilities/:id/history
+// @access  Private
+exports.getHistory = async (req, res) => {
+  try {
+    const { path, page = 1, limit = 20 } = req.query;
+
+    const facility = await Facility.findById(req.params.id).select('name serialNo');
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    let query = { facility: facility._id };
+    if (path) query['changes.path'] = path;
+
+    const skip = (page - 1) * limit;
+
+    const [history, total] = await Promise.all([
+      FacilityHistory.find(query)
+        .populate('changedBy', 'name staffId')
+        .sort('-revision')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FacilityHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        facility,
+        history,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facility history',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one revision and the facility fields as they were after it
+// @route   GET /api/facilities/:id/history/:revision
+// @access  Private
+exports.getRevision = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const entry = await FacilityHistory.findOne({ facility: facility._id, revision: Number(req.params.revision) })
+      .populate('changedBy', 'name staffId');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const snapshot = await FacilityHistory.snapshotAt(facility, entry.revision);
+
+    res.json({
+      success: true,
+      data: { revision: entry, snapshot }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facility revision',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a facility's tracked fields to a historical revision.
+//          The revert is recorded as a new revision. Takeover details
+//          are left as they are; they only change through takeover cases.
+// @route   POST /api/facilities/:id/history/:revision/revert
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.revertToRevision = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const target = await FacilityHistory.findOne({ facility: facility._id, revision: Number(req.params.revision) });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const snapshot = await FacilityHistory.snapshotAt(facility, target.revision);
+    const before = facility.toObject();
+
+    Object.entries(snapshot).forEach(([path, value]) => {
+      facility.set(path, value === null ? undefined : value);
+    });
+
+    // Leave takeover fields to the takeover workflow
+    const skipped = [];
+    FacilityHistory.diff(before, facility.toObject()).forEach(change => {
+      if (FacilityHistory.isTakeoverChange(change)) {
+        facility.set(change.path, change.before === null ? undefined : change.before);
+        skipped.push(change.path);
+      }
+    });
+
+    const changes = FacilityHistory.diff(before, facility.toObject());
+    if (!changes.length) {
+      return res.status(400).json({
+        success: false,
+        message: skipped.length
+          ? `Revision ${target.revision} only differs in takeover details, which change through takeover cases`
+          : `Facility already matches revision ${target.revision}`
+      });
+    }
+
+    facility.lastModifiedBy = req.user._id;
+    await facility.save();
+
+    const revision = await FacilityHistory.record(facility._id, changes, req.user._id, {
+      action: 'reverted',
+      revertedTo: target.revision,
+      comments
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'reverted_facility',
+      description: `Reverted facility ${facility.name} to revision ${target.revision}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: { facilityName: facility.name, revertedTo: target.revision, revision: revision.revision, changes, skipped },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: skipped.length
+        ? `Facility reverted to revision ${target.revision}, except takeover details (${skipped.join(', ')})`
+        : `Facility reverted to revision ${target.revision}`,
+      data: { facility, revision, skipped }
+    });
+  } catch (error) {
+    // The old serial number may since have been given to another facility
+    const conflict = error.code === 11000;
+    res.status(conflict ? 409 : 500).json({
+      success: false,
+      message: conflict
+        ? 'Cannot revert: a value in this revision is now used by another facility'
+        : 'Error reverting facility',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,402 @@
+// controllers/facilityImport.controller.js
+const path = require('path');
+const Facility = require('../models/facility.model');
+const FacilityHistory = require('../models/facilityHistory.model');
+const FacilityImport = require('../models/facilityImport.model');
+const ActivityLog = require('../models/activitylog.model');
+const { parseSpreadsheet, normalizeHeader } = require('../utils/spreadsheet');
+
+const MAX_ROWS = Number(process.env.FACILITY_IMPORT_MAX_ROWS) || 2000;
+
+// Spreadsheet headers accepted for each field, after normalizeHeader
+const COLUMN_ALIASES = {
+  name: ['name', 'facilityname', 'stationname'],
+  address: ['address', 'facilityaddress'],
+  serialNo: ['serialno', 'serialnumber', 'serial'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  coordinates: ['coordinates', 'latlng', 'gps'],
+  fileType: ['filetype', 'type'],
+  takeoverCompany: ['takeovercompany', 'takenoverby', 'company'],
+  takeoverDate: ['takeoverdate', 'dateofassumption'],
+  region: ['region'],
+  mapUrl: ['mapurl', 'map']
+};
+const REQUIRED_COLUMNS = ['name', 'address', 'serialNo', 'fileType'];
+
+const FILE_TYPES = Facility.schema.path('fileType').enumValues;
+
+// Map each field to the spreadsheet header that holds it
+const mapColumns = (headers) => {
+  const columns = {};
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+    if (field && !columns[field]) columns[field] = header;
+  });
+  return columns;
+};
+
+// "General", "general file", "TAKE OVER FILE" -> the schema's enum value
+const parseFileType = (value) => {
+  const key = normalizeHeader(value);
+  return FILE_TYPES.find(type => {
+    const typeKey = normalizeHeader(type);
+    return typeKey === key || typeKey === `${key}file`;
+  });
+};
+
+// Latitude and longitude from separate columns or a "lat, lng" column
+const parseCoordinates = (raw, issues) => {
+  let lat = raw.latitude;
+  let lng = raw.longitude;
+  if ((lat === '' || lat === undefined) && raw.coordinates) {
+    [lat, lng] = String(raw.coordinates).split(/[,;\s]+/).filter(Boolean);
+  }
+
+  const hasLat = lat !== '' && lat !== undefined;
+  const hasLng = lng !== '' && lng !== undefined;
+  if (!hasLat && !hasLng) return null;
+
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!hasLat || !hasLng || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    issues.push('Coordinates must include a numeric latitude and longitude');
+    return null;
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    issues.push(`Coordinates ${lat}, ${lng} are out of range`);
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Turn one spreadsheet row into facility data plus blocking issues and warnings
+const readRow = (record, columns) => {
+  const issues = [];
+  const warnings = [];
+  const raw = {};
+  Object.entries(columns).forEach(([field, header]) => { raw[field] = record[header]; });
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+  REQUIRED_COLUMNS.forEach(field => {
+    if (!text(raw[field])) issues.push(`${field} is required`);
+  });
+
+  const fileType = text(raw.fileType) && parseFileType(raw.fileType);
+  if (text(raw.fileType) && !fileType) {
+    issues.push(`fileType must be one of: ${FILE_TYPES.join(', ')}`);
+  }
+
+  const location = parseCoordinates(raw, issues);
+  if (!location && !issues.some(issue => issue.startsWith('Coordinates'))) {
+    warnings.push('No coordinates; the facility will not appear on map or nearby searches');
+  }
+
+  let takeoverDate;
+  if (text(raw.takeoverDate)) {
+    takeoverDate = raw.takeoverDate instanceof Date ? raw.takeoverDate : new Date(raw.takeoverDate);
+    if (isNaN(takeoverDate)) {
+      issues.push(`takeoverDate "${raw.takeoverDate}" is not a valid date`);
+      takeoverDate = undefined;
+    }
+  }
+
+  const company = text(raw.takeoverCompany);
+  if (fileType === 'Take Over File' && !company) {
+    warnings.push('Take Over File without a takeover company');
+  }
+  if (company) {
+    warnings.push('Imported as Active. Open a takeover case to mark it Taken Over');
+  }
+
+  const data = {
+    name: text(raw.name),
+    address: text(raw.address),
+    serialNo: text(raw.serialNo),
+    fileType,
+    region: text(raw.region) || undefined,
+    mapUrl: text(raw.mapUrl) || undefined,
+    location: location || undefined,
+    takenOverBy: company || takeoverDate ? { company: company || undefined, date: takeoverDate } : undefined
+  };
+
+  return { data, issues, warnings };
+};
+
+// Flag serial numbers repeated in the file or already used (including
+// facilities in the recycle bin)
+const checkSerialNumbers = async (rows) => {
+  const bySerial = new Map();
+  rows.forEach(row => {
+    const serialNo = row.data.serialNo;
+    if (!serialNo) return;
+    if (!bySerial.has(serialNo)) bySerial.set(serialNo, []);
+    bySerial.get(serialNo).push(row);
+  });
+
+  bySerial.forEach((matches, serialNo) => {
+    if (matches.length < 2) return;
+    const lines = matches.map(row => row.row).join(', ');
+    matches.forEach(row => row.issues.push(`Duplicate serialNo ${serialNo} in file (rows ${lines})`));
+  });
+
+  const existing = await Facility.find({ serialNo: { $in: Array.from(bySerial.keys()) } })
+    .setOptions({ withDeleted: true })
+    .select('serialNo name deletedAt');
+
+  existing.forEach(facility => {
+    bySerial.get(facility.serialNo).forEach(row => {
+      row.issues.push(facility.deletedAt
+        ? `serialNo ${facility.serialNo} belongs to a deleted facility in the recycle bin`
+        : `serialNo ${facility.serialNo} already exists (${facility.name})`);
+    });
+  });
+};
+
+// Run the schema validators so the report matches what a commit would do
+const checkSchema = (rows, userId) => {
+  rows.forEach(row => {
+    if (row.issues.length) return;
+    const error = new Facility({ ...row.data, createdBy: userId }).validateSync();
+    if (error) {
+      Object.values(error.errors).forEach(fieldError => row.issues.push(fieldError.message));
+    }
+  });
+};
+
+const validateRows = async (rows, userId) => {
+  await checkSerialNumbers(rows);
+  checkSchema(rows, userId);
+  return rows;
+};
+
+// @desc    Upload a CSV or Excel file and get a dry-run validation report
+// @route   POST /api/facilities/import
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.validateImport = async (req, res) => {
+  try {
+    const file = req.files?.[0];
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach a CSV or Excel file'
+      });
+    }
+
+    const { headers, rows: records } = await parseSpreadsheet(file);
+    const columns = mapColumns(headers);
+
+    const missing = REQUIRED_COLUMNS.filter(field => !columns[field]);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required column(s): ${missing.join(', ')}`,
+        data: { headers, expected: COLUMN_ALIASES }
+      });
+    }
+
+    if (!records.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file has no data rows'
+      });
+    }
+
+    if (records.length > MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${MAX_ROWS} rows. Please split the file`
+      });
+    }
+
+    const rows = records.map(record => ({ row: record.row, ...readRow(record, columns) }));
+    await validateRows(rows, req.user._id);
+
+    const facilityImport = new FacilityImport({
+      filename: file.originalname,
+      format: path.extname(file.originalname).slice(1).toLowerCase(),
+      rows,
+      uploadedBy: req.user._id
+    });
+    facilityImport.summarize();
+    await facilityImport.save();
+
+    res.status(201).json({
+      success: true,
+      message: facilityImport.summary.invalid
+        ? `${facilityImport.summary.invalid} of ${facilityImport.summary.total} rows have errors and will be skipped`
+        : 'All rows are valid and ready to import',
+      data: {
+        importId: facilityImport._id,
+        expiresAt: facilityImport.expiresAt,
+        columns,
+        summary: facilityImport.summary,
+        rows: facilityImport.rows
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error validating import',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an import's validation report or result
+// @route   GET /api/facilities/import/:importId
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.getImport = async (req, res) => {
+  try {
+    const facilityImport = await FacilityImport.findById(req.params.importId)
+      .populate('uploadedBy', 'name staffId')
+      .populate('committedBy', 'name staffId');
+
+    if (!facilityImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found or expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { import: facilityImport }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create the valid rows of a validated import in one batch
+// @route   POST /api/facilities/import/:importId/commit
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.commitImport = async (req, res) => {
+  let facilityImport;
+  try {
+    // Claim the import so a double-submitted commit cannot run twice
+    facilityImport = await FacilityImport.findOneAndUpdate(
+      { _id: req.params.importId, status: 'validated' },
+      { status: 'committing' },
+      { new: true }
+    );
+
+    if (!facilityImport) {
+      const existing = await FacilityImport.findById(req.params.importId).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import not found or expired. Please upload the file again'
+        });
+      }
+      return res.status(existing.status === 'committing' ? 409 : 400).json({
+        success: false,
+        message: existing.status === 'committing'
+          ? 'This import is already being committed'
+          : 'This import has already been committed'
+      });
+    }
+
+    // Re-check serial numbers in case facilities were added since the dry run
+    const rows = facilityImport.rows
+      .filter(row => !row.issues.length)
+      .map(row => ({ row: row.row, data: row.data, issues: [], warnings: row.warnings }));
+    await validateRows(rows, req.user._id);
+
+    const failed = rows
+      .filter(row => row.issues.length)
+      .map(row => ({ row: row.row, error: row.issues.join('; ') }));
+    const ready = rows.filter(row => !row.issues.length);
+
+    const docs = ready.map(row => {
+      const facility = new Facility({ ...row.data, createdBy: req.user._id });
+      facility.updateSearchTrigrams();
+      return facility;
+    });
+
+    let created = [];
+    if (docs.length) {
+      try {
+        created = await Facility.insertMany(docs, { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        // Rows that lost a race for their serial number; the rest are in
+        error.writeErrors.forEach(writeError => {
+          failed.push({ row: ready[writeError.index].row, error: writeError.errmsg });
+        });
+        created = error.insertedDocs || [];
+      }
+    }
+
+    for (const facility of created) {
+      await FacilityHistory.record(
+        facility._id,
+        FacilityHistory.diff({}, facility.toObject()),
+        req.user._id,
+        { action: 'created', comments: `Imported from ${facilityImport.filename}` }
+      );
+    }
+
+    facilityImport.status = 'committed';
+    facilityImport.committedBy = req.user._id;
+    facilityImport.committedAt = new Date();
+    facilityImport.expiresAt = undefined;
+    facilityImport.result = {
+      created: created.length,
+      skipped: facilityImport.summary.invalid,
+      failed
+    };
+    await facilityImport.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'imported_facilities',
+      description: `Imported ${created.length} facilities from ${facilityImport.filename}`,
+      resourceType: 'Facility',
+      metadata: {
+        importId: facilityImport._id,
+        filename: facilityImport.filename,
+        created: created.length,
+        skipped: facilityImport.summary.invalid,
+        failed: failed.length,
+        serialNos: created.map(facility => facility.serialNo)
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${created.length} facilities`,
+      data: {
+        importId: facilityImport._id,
+        result: facilityImport.result,
+        facilities: created.map(({ _id, name, serialNo }) => ({ _id, name, serialNo }))
+      }
+    });
+  } catch (error) {
+    // Let the import be committed again; rows already created are caught
+    // by the serial number re-check
+    if (facilityImport) {
+      await FacilityImport.updateOne(
+        { _id: facilityImport._id, status: 'committing' },
+        { status: 'validated' }
+      ).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error committing import',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,739 @@
+// controllers/inspection.controller.js
+const mongoose = require('mongoose');
+const Facility = require('../models/facility.model');
+const InspectionTemplate = require('../models/inspectionTemplate.model');
+const InspectionSchedule = require('../models/inspectionSchedule.model');
+const Inspection = require('../models/inspection.model');
+const OutletReading = require('../models/outletReading.model');
+const ActivityLog = require('../models/activitylog.model');
+const { getStorage, storeFile, sendStoredFile } = require('../utils/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const logInspectionAction = (req, action, description, resourceType, resourceId, metadata) => ActivityLog.createLog({
+  user: req.user._id,
+  staffName: req.user.name,
+  role: req.user.isActingAs?.role || req.user.role,
+  action,
+  description,
+  resourceType,
+  resourceId,
+  metadata,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Answers arrive as JSON text when photos are sent as multipart form data
+const parseAnswers = (answers) => {
+  if (typeof answers !== 'string') return answers || {};
+  try {
+    return JSON.parse(answers);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create a reading from answers to questions mapped to outlet fields, and
+// move the outlet's latest values on unless the inspection is back-dated
+const recordOutletReading = async (facility, outlet, template, answers, inspection) => {
+  const values = {};
+  template.questions.forEach(question => {
+    if (question.outletField && answers[question.key] !== undefined) {
+      values[question.outletField] = answers[question.key];
+    }
+  });
+  if (!Object.keys(values).length) return null;
+
+  const reading = await OutletReading.create({
+    facility: facility._id,
+    outlet: outlet._id,
+    outletName: outlet.outletName,
+    readingDate: inspection.inspectedAt,
+    ...values,
+    notes: `Inspection ${inspection._id}`,
+    recordedBy: inspection.inspector
+  });
+
+  if (reading.applyToOutlet(outlet, values)) {
+    await facility.save();
+  }
+  return reading;
+};
+
+// @desc    Get inspection templates
+// @route   GET /api/inspections/templates
+// @access  Private
+exports.getTemplates = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const templates = await InspectionTemplate.find(query)
+      .populate('createdBy', 'name staffId')
+      .sort('name');
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inspection templates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single inspection template
+// @route   GET /api/inspections/templates/:id
+// @access  Private
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id)
+      .populate('createdBy', 'name staffId')
+      .populate('lastModifiedBy', 'name staffId');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inspection template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create inspection template
+// @route   POST /api/inspections/templates
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, description, questions, passMark } = req.body;
+
+    const template = await InspectionTemplate.create({
+      name,
+      description,
+      questions,
+      passMark,
+      createdBy: req.user._id
+    });
+
+    await logInspectionAction(req, 'added_inspection_template',
+      `Created inspection template ${template.name}`,
+      'InspectionTemplate', template._id,
+      { name: template.name, questions: template.questions.length, passMark: template.passMark });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inspection template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating inspection template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update inspection template. Past inspections keep the
+//          questions as they were answered.
+// @route   PUT /api/inspections/templates/:id
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection template not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'description', 'questions', 'passMark', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    template.lastModifiedBy = req.user._id;
+
+    await template.save();
+
+    await logInspectionAction(req, 'edited_inspection_template',
+      `Updated inspection template ${template.name}`,
+      'InspectionTemplate', template._id,
+      { name: template.name, fields: Object.keys(req.body) });
+
+    res.json({
+      success: true,
+      message: 'Inspection template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating inspection template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate inspection template and its schedules
+// @route   DELETE /api/inspections/templates/:id
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.deactivateTemplate = async (req, res) => {
+  try {
+    const template = await InspectionTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection template not found'
+      });
+    }
+
+    template.isActive = false;
+    template.lastModifiedBy = req.user._id;
+    await template.save();
+
+    const { modifiedCount } = await InspectionSchedule.updateMany(
+      { template: template._id, isActive: true },
+      { isActive: false, lastModifiedBy: req.user._id }
+    );
+
+    await logInspectionAction(req, 'deactivated_inspection_template',
+      `Deactivated inspection template ${template.name}`,
+      'InspectionTemplate', template._id,
+      { name: template.name, schedulesDeactivated: modifiedCount });
+
+    res.json({
+      success: true,
+      message: 'Inspection template deactivated successfully',
+      data: { schedulesDeactivated: modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating inspection template',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get inspection schedules
+// @route   GET /api/inspections/schedules
+// @access  Private
+exports.getSchedules = async (req, res) => {
+  try {
+    const { facility, template, assignedTo, includeInactive } = req.query;
+
+    let query = includeInactive === 'true' ? {} : { isActive: true };
+    if (facility) query.facility = facility;
+    if (template) query.template = template;
+    if (assignedTo) query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+
+    const schedules = await InspectionSchedule.find(query)
+      .populate('facility', 'name serialNo region status')
+      .populate('template', 'name passMark')
+      .populate('assignedTo', 'name staffId')
+      .sort('nextDueDate');
+
+    res.json({
+      success: true,
+      // Schedules of facilities in the recycle bin are left out
+      data: { schedules: schedules.filter(schedule => schedule.facility) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inspection schedules',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Schedule a facility for inspection with a template every
+//          frequencyDays days. The first inspection is due at
+//          nextDueDate, or straight away.
+// @route   POST /api/inspections/schedules
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.createSchedule = async (req, res) => {
+  try {
+    const { facility: facilityId, template: templateId, frequencyDays, assignedTo, nextDueDate } = req.body;
+
+    const [facility, template] = await Promise.all([
+      Facility.findById(facilityId),
+      InspectionTemplate.findOne({ _id: templateId, isActive: true })
+    ]);
+
+    if (!facility || !template) {
+      return res.status(404).json({
+        success: false,
+        message: facility ? 'Inspection template not found' : 'Facility not found'
+      });
+    }
+
+    const schedule = await InspectionSchedule.create({
+      facility: facility._id,
+      template: template._id,
+      frequencyDays,
+      assignedTo,
+      nextDueDate: nextDueDate || new Date(),
+      createdBy: req.user._id
+    });
+
+    await logInspectionAction(req, 'scheduled_inspection',
+      `Scheduled ${template.name} inspections of ${facility.name} every ${schedule.frequencyDays} days`,
+      'Facility', facility._id,
+      {
+        facilityName: facility.name,
+        scheduleId: schedule._id,
+        template: template.name,
+        frequencyDays: schedule.frequencyDays,
+        nextDueDate: schedule.nextDueDate
+      });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inspection scheduled successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    const conflict = error.code === 11000;
+    res.status(conflict ? 409 : error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: conflict
+        ? 'Facility already has a schedule for this template'
+        : 'Error scheduling inspection',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update inspection schedule. A new frequency moves the due
+//          date on from the last inspection unless nextDueDate is given.
+// @route   PUT /api/inspections/schedules/:id
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await InspectionSchedule.findById(req.params.id)
+      .populate('facility', 'name');
+
+    if (!schedule || !schedule.facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection schedule not found'
+      });
+    }
+
+    const allowedUpdates = ['frequencyDays', 'assignedTo', 'nextDueDate', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+    if (req.body.frequencyDays !== undefined && req.body.nextDueDate === undefined && schedule.lastInspectedAt) {
+      schedule.nextDueDate = new Date(schedule.lastInspectedAt.getTime() + schedule.frequencyDays * DAY);
+    }
+    schedule.lastModifiedBy = req.user._id;
+
+    await schedule.save();
+
+    await logInspectionAction(req, 'edited_inspection_schedule',
+      `Updated inspection schedule of ${schedule.facility.name}`,
+      'Facility', schedule.facility._id,
+      { facilityName: schedule.facility.name, scheduleId: schedule._id, changes: req.body });
+
+    res.json({
+      success: true,
+      message: 'Inspection schedule updated successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating inspection schedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get facilities overdue for inspection, most overdue first
+// @route   GET /api/inspections/overdue
+// @access  Private
+exports.getOverdue = async (req, res) => {
+  try {
+    const { region, template, assignedTo, page = 1, limit = 50 } = req.query;
+    const now = new Date();
+
+    const badId = [template, assignedTo === 'me' ? undefined : assignedTo]
+      .find(id => id !== undefined && !mongoose.isValidObjectId(id));
+    if (badId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid id: ${badId}`
+      });
+    }
+
+    let match = { isActive: true, nextDueDate: { $lt: now } };
+    if (template) match.template = new mongoose.Types.ObjectId(template);
+    if (assignedTo) {
+      match.assignedTo = assignedTo === 'me'
+        ? req.user._id
+        : new mongoose.Types.ObjectId(assignedTo);
+    }
+
+    // Aggregations skip the soft-delete hook, so deleted facilities are
+    // filtered out here
+    let facilityMatch = { 'facility.deletedAt': null };
+    if (region) facilityMatch['facility.region'] = region;
+
+    const skip = (page - 1) * limit;
+
+    const [result] = await InspectionSchedule.aggregate([
+      { $match: match },
+      { $lookup: { from: 'facilities', localField: 'facility', foreignField: '_id', as: 'facility' } },
+      { $unwind: '$facility' },
+      { $match: facilityMatch },
+      { $lookup: { from: 'inspectiontemplates', localField: 'template', foreignField: '_id', as: 'template' } },
+      { $unwind: '$template' },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'assignedTo',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, staffId: 1 } }],
+          as: 'assignedTo'
+        }
+      },
+      { $sort: { nextDueDate: 1 } },
+      {
+        $facet: {
+          overdue: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $project: {
+                facility: { _id: 1, name: 1, serialNo: 1, region: 1, status: 1, address: 1 },
+                template: { _id: 1, name: 1 },
+                assignedTo: { $first: '$assignedTo' },
+                frequencyDays: 1,
+                nextDueDate: 1,
+                lastInspectedAt: 1,
+                lastInspection: 1,
+                daysOverdue: {
+                  $floor: { $divide: [{ $subtract: [now, '$nextDueDate'] }, DAY] }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        overdue: result.overdue,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching overdue inspections',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit an inspection. answers maps question keys to values;
+//          a photo question is answered with the file name of a photo
+//          uploaded in the same request.
+// @route   POST /api/inspections
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.submitInspection = async (req, res) => {
+  const storedKeys = [];
+  try {
+    const { facility: facilityId, template: templateId, outlet: outletId, inspectedAt, notes } = req.body;
+    const rawAnswers = parseAnswers(req.body.answers);
+
+    if (!rawAnswers || typeof rawAnswers !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers must be an object of question keys and values'
+      });
+    }
+
+    const [facility, template] = await Promise.all([
+      Facility.findById(facilityId),
+      InspectionTemplate.findOne({ _id: templateId, isActive: true })
+    ]);
+
+    if (!facility || !template) {
+      return res.status(404).json({
+        success: false,
+        message: facility ? 'Inspection template not found' : 'Facility not found'
+      });
+    }
+
+    const outlet = outletId ? facility.retailOutlets.id(outletId) : null;
+    if (outletId && !outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retail outlet not found'
+      });
+    }
+
+    const { answers, errors } = template.readAnswers(rawAnswers);
+
+    const photos = {};
+    const files = req.files || [];
+    template.questions
+      .filter(question => question.type === 'photo' && answers[question.key] !== undefined)
+      .forEach(question => {
+        const file = files.find(candidate => candidate.originalname === answers[question.key]);
+        if (!file) errors.push(`${question.label}: no photo named ${answers[question.key]} was uploaded`);
+        else if (!file.mimetype.startsWith('image/')) errors.push(`${question.label} must be an image`);
+        else photos[question.key] = file;
+      });
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inspection answers are incomplete or invalid',
+        errors
+      });
+    }
+
+    const result = template.score(answers);
+
+    const inspection = new Inspection({
+      facility: facility._id,
+      outlet: outlet?._id,
+      outletName: outlet?.outletName,
+      template: template._id,
+      templateName: template.name,
+      inspector: req.user._id,
+      inspectedAt: inspectedAt || new Date(),
+      score: result.score,
+      maxScore: result.maxScore,
+      percentage: result.percentage,
+      passMark: template.passMark,
+      passed: result.passed,
+      notes
+    });
+
+    for (const { question, value, passed, points } of result.results) {
+      if (value === undefined) continue;
+      const answer = { key: question.key, label: question.label, type: question.type, value, points };
+      if (passed !== null) answer.passed = passed;
+      if (photos[question.key]) {
+        answer.photo = await storeFile(`inspections/${facility._id}/${inspection._id}`, photos[question.key]);
+        storedKeys.push(answer.photo.storageKey);
+      }
+      inspection.answers.push(answer);
+    }
+
+    const schedule = await InspectionSchedule.findOne({
+      facility: facility._id,
+      template: template._id,
+      isActive: true
+    });
+    if (schedule) inspection.schedule = schedule._id;
+
+    await inspection.save();
+    storedKeys.length = 0; // The photos now belong to a saved inspection
+
+    // The inspection is stored from here on. A failed follow-up is reported
+    // alongside it, not as an error, so the client does not submit it twice.
+    const warnings = [];
+    let nextDueDate;
+
+    if (outlet) {
+      try {
+        const reading = await recordOutletReading(facility, outlet, template, answers, inspection);
+        if (reading) {
+          inspection.outletReading = reading._id;
+          await inspection.save();
+        }
+      } catch (error) {
+        warnings.push(`The outlet reading was not recorded: ${error.message}`);
+      }
+    }
+
+    if (schedule) {
+      try {
+        schedule.recordInspection(inspection);
+        await schedule.save();
+        nextDueDate = schedule.nextDueDate;
+      } catch (error) {
+        warnings.push(`The inspection schedule was not updated: ${error.message}`);
+      }
+    }
+
+    await logInspectionAction(req, 'submitted_inspection',
+      `${result.passed ? 'Passed' : 'Failed'} ${template.name} inspection of ${facility.name} (${result.percentage}%)`,
+      'Inspection', inspection._id,
+      {
+        facility: facility._id,
+        facilityName: facility.name,
+        outletName: outlet?.outletName,
+        template: template.name,
+        score: result.score,
+        maxScore: result.maxScore,
+        percentage: result.percentage,
+        passed: result.passed,
+        ...(warnings.length && { warnings })
+      });
+
+    res.status(201).json({
+      success: true,
+      message: `Inspection submitted: ${result.passed ? 'passed' : 'failed'} with ${result.percentage}%`,
+      data: {
+        inspection,
+        nextDueDate
+      },
+      ...(warnings.length && { warnings })
+    });
+  } catch (error) {
+    // Do not leave orphaned photos behind
+    await Promise.all(storedKeys.map(key => getStorage().remove(key).catch(() => {})));
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error submitting inspection',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get inspections
+// @route   GET /api/inspections
+// @access  Private
+exports.getInspections = async (req, res) => {
+  try {
+    const { facility, template, inspector, passed, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (facility) query.facility = facility;
+    if (template) query.template = template;
+    if (inspector) query.inspector = inspector === 'me' ? req.user._id : inspector;
+    if (passed !== undefined) query.passed = passed === 'true';
+    if (startDate || endDate) {
+      query.inspectedAt = {};
+      if (startDate) query.inspectedAt.$gte = new Date(startDate);
+      if (endDate) query.inspectedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [inspections, total] = await Promise.all([
+      Inspection.find(query)
+        .select('-answers')
+        .populate('facility', 'name serialNo region')
+        .populate('inspector', 'name staffId')
+        .sort('-inspectedAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Inspection.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        inspections,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inspections',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single inspection with its answers
+// @route   GET /api/inspections/:id
+// @access  Private
+exports.getInspection = async (req, res) => {
+  try {
+    const inspection = await Inspection.findById(req.params.id)
+      .populate('facility', 'name serialNo region address')
+      .populate('inspector', 'name staffId')
+      .populate('outletReading');
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inspection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { inspection }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inspection',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download the photo answering a question
+// @route   GET /api/inspections/:id/photos/:key
+// @access  Private
+exports.downloadPhoto = async (req, res) => {
+  try {
+    const inspection = await Inspection.findById(req.params.id);
+    const answer = inspection?.answers.find(candidate => candidate.key === req.params.key);
+
+    if (!answer?.photo?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: inspection ? 'Photo not found' : 'Inspection not found'
+      });
+    }
+
+    await sendStoredFile(req, res, answer.photo, 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading photo',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,422 @@
+// controllers/inventory.controller.js
+const StockItem = require('../models/stockItem.model');
+const StockBalance = require('../models/stockBalance.model');
+const StockMovement = require('../models/stockMovement.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// @desc    Add stock item to the catalogue
+// @route   POST /api/inventory/items
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.createStockItem = async (req, res) => {
+  try {
+    const { code, name, description, category, unit, reorderLevel } = req.body;
+
+    const item = await StockItem.create({
+      code,
+      name,
+      description,
+      category,
+      unit,
+      reorderLevel,
+      createdBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'added_stock_item',
+      description: `Added stock item ${item.code} - ${item.name}`,
+      resourceType: 'StockItem',
+      resourceId: item._id,
+      metadata: { code: item.code, name: item.name },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock item created successfully',
+      data: { item }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating stock item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get stock item catalogue
+// @route   GET /api/inventory/items
+// @access  Private
+exports.getStockItems = async (req, res) => {
+  try {
+    const { category, isActive, page = 1, limit = 50 } = req.query;
+
+    let query = {};
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const [items, total] = await Promise.all([
+      StockItem.find(query)
+        .sort('name')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StockItem.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock items',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get stock item with balances per store
+// @route   GET /api/inventory/items/:id
+// @access  Private
+exports.getStockItem = async (req, res) => {
+  try {
+    const item = await StockItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const balances = await StockBalance.find({ item: item._id }).sort('store');
+
+    res.json({
+      success: true,
+      data: {
+        item,
+        balances,
+        totalQuantity: balances.reduce((sum, balance) => sum + balance.quantity, 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update stock item
+// @route   PUT /api/inventory/items/:id
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.updateStockItem = async (req, res) => {
+  try {
+    const item = await StockItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const allowedUpdates = ['name', 'description', 'category', 'unit', 'reorderLevel', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    });
+    item.lastModifiedBy = req.user._id;
+
+    await item.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_stock_item',
+      description: `Updated stock item ${item.code} - ${item.name}`,
+      resourceType: 'StockItem',
+      resourceId: item._id,
+      metadata: { code: item.code, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock item updated successfully',
+      data: { item }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Receive stock into a store
+// @route   POST /api/inventory/receipts
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.receiveStock = async (req, res) => {
+  try {
+    const { item: itemId, store, quantity, document, notes } = req.body;
+
+    if (!store || !(Number(quantity) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a store and a positive quantity'
+      });
+    }
+
+    const item = await StockItem.findById(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const movement = await StockMovement.post({
+      item: item._id,
+      store,
+      type: 'receipt',
+      quantity: Number(quantity),
+      reference: { document },
+      notes,
+      postedBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'received_stock',
+      description: `Received ${quantity} ${item.unit} of ${item.name} into ${store}`,
+      resourceType: 'StockItem',
+      resourceId: item._id,
+      metadata: { code: item.code, store, quantity: Number(quantity), document },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received successfully',
+      data: { movement }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error receiving stock',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Adjust stock balance (stock count, damage, loss)
+// @route   POST /api/inventory/adjustments
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.adjustStock = async (req, res) => {
+  try {
+    const { item: itemId, store, quantity, document, notes } = req.body;
+
+    if (!store || !Number(quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a store and a non-zero quantity'
+      });
+    }
+
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the adjustment'
+      });
+    }
+
+    const item = await StockItem.findById(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const movement = await StockMovement.post({
+      item: item._id,
+      store,
+      type: 'adjustment',
+      quantity: Number(quantity),
+      reference: { document },
+      notes,
+      postedBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'adjusted_stock',
+      description: `Adjusted ${item.name} in ${store} by ${quantity} ${item.unit}`,
+      resourceType: 'StockItem',
+      resourceId: item._id,
+      metadata: { code: item.code, store, quantity: Number(quantity), reason: notes },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: { movement }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error adjusting stock',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get current balances per store
+// @route   GET /api/inventory/balances
+// @access  Private
+exports.getBalances = async (req, res) => {
+  try {
+    const { store, item } = req.query;
+
+    let query = {};
+    if (store) query.store = store;
+    if (item) query.item = item;
+
+    const balances = await StockBalance.find(query)
+      .populate('item', 'code name unit category reorderLevel')
+      .sort('store');
+
+    res.json({
+      success: true,
+      data: { balances }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock balances',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get balances at or below their item's reorder level
+// @route   GET /api/inventory/low-stock
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.getLowStock = async (req, res) => {
+  try {
+    const { store } = req.query;
+
+    const pipeline = [];
+    if (store) pipeline.push({ $match: { store } });
+    pipeline.push(
+      { $lookup: { from: 'stockitems', localField: 'item', foreignField: '_id', as: 'item' } },
+      { $unwind: '$item' },
+      { $match: { 'item.isActive': true, $expr: { $lte: ['$quantity', '$item.reorderLevel'] } } },
+      { $project: {
+        store: 1,
+        quantity: 1,
+        shortfall: { $subtract: ['$item.reorderLevel', '$quantity'] },
+        'item._id': 1,
+        'item.code': 1,
+        'item.name': 1,
+        'item.unit': 1,
+        'item.reorderLevel': 1
+      } },
+      { $sort: { shortfall: -1 } }
+    );
+
+    const lowStock = await StockBalance.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      data: { lowStock, total: lowStock.length }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low stock report',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get stock movement history
+// @route   GET /api/inventory/movements
+// @access  Private (Logistics, Corporate Services, ICT Admin)
+exports.getMovements = async (req, res) => {
+  try {
+    const { item, store, type, itemRequest, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    let query = {};
+    if (item) query.item = item;
+    if (store) query.store = store;
+    if (type) query.type = type;
+    if (itemRequest) query['reference.itemRequest'] = itemRequest;
+    if (startDate || endDate) {
+      query.postedAt = {};
+      if (startDate) query.postedAt.$gte = new Date(startDate);
+      if (endDate) query.postedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('item', 'code name unit')
+        .populate('postedBy', 'name staffId')
+        .sort('-postedAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,482 @@
+// controllers/itemRequest.controller.js
+const mongoose = require('mongoose');
+const ItemRequest = require('../models/itemRequest.model');
+const StockMovement = require('../models/stockMovement.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// Roles that approve or decline item requisitions
+const ITEM_APPROVER_ROLES = ['Approver', 'Supervisor', 'ROM Supervisor', 'Corporate Services'];
+
+// Stores are issued by the Logistics department or Corporate Services
+const canFulfill = (user, userRole) =>
+  user.department === 'Logistics' || userRole === 'Corporate Services';
+
+// @desc    Create item request
+// @route   POST /api/item-requests
+// @access  Private (All staff)
+exports.createItemRequest = async (req, res) => {
+  try {
+    const { officerName, uniqueId, division, items, supportingDocuments } = req.body;
+
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add at least one item'
+      });
+    }
+
+    const itemRequest = await ItemRequest.create({
+      requestingOfficer: req.user._id,
+      officerName: officerName || req.user.name,
+      uniqueId,
+      division,
+      items,
+      supportingDocuments
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'created_item_request',
+      description: `Created item request ${itemRequest.requestId}`,
+      resourceType: 'ItemRequest',
+      resourceId: itemRequest._id,
+      metadata: { requestId: itemRequest.requestId, itemCount: items.length },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Item request created successfully',
+      data: { itemRequest }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating item request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all item requests (filtered by role)
+// @route   GET /api/item-requests
+// @access  Private
+exports.getItemRequests = async (req, res) => {
+  try {
+    const { status, division, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+
+    // Role-based filtering
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    if (!['ICT Admin', 'Viewer', 'Regional Coordinator'].includes(userRole)) {
+      // Everyone sees their own requests
+      query.$or = [{ requestingOfficer: req.user._id }];
+
+      // Approvers also see pending requests and requests they acted on
+      if (ITEM_APPROVER_ROLES.includes(userRole)) {
+        query.$or.push({ status: 'pending' }, { 'approvals.approver': req.user._id });
+      }
+
+      // Stores also see approved requests waiting to be issued
+      if (canFulfill(req.user, userRole)) {
+        query.$or.push({ status: { $in: ['approved', 'partially_fulfilled', 'fulfilled'] } });
+      }
+    }
+    // ICT Admin, Viewer and Regional Coordinator see all
+
+    // Additional filters
+    if (status) query.status = status;
+    if (division) query.division = division;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [requests, total] = await Promise.all([
+      ItemRequest.find(query)
+        .populate('requestingOfficer', 'name staffId email department')
+        .populate('approvals.approver', 'name staffId')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ItemRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching item requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single item request
+// @route   GET /api/item-requests/:id
+// @access  Private
+exports.getItemRequest = async (req, res) => {
+  try {
+    const request = await ItemRequest.findById(req.params.id)
+      .populate('requestingOfficer', 'name staffId email department')
+      .populate('approvals.approver', 'name staffId')
+      .populate('fulfillment.fulfilledBy', 'name staffId')
+      .populate('declinedBy.user', 'name staffId');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        request,
+        fulfilledQuantities: request.getFulfilledQuantities()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching item request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve item request
+// @route   PUT /api/item-requests/:id/approve
+// @access  Private (Approver, Supervisor, ROM Supervisor, Corporate Services)
+exports.approveItemRequest = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const request = await ItemRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Item request is already ${request.status.replace('_', ' ')}`
+      });
+    }
+
+    if (request.requestingOfficer.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own item request'
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    request.approvals.push({
+      approver: req.user._id,
+      approverRole: userRole,
+      status: 'approved',
+      comments,
+      approvedAt: new Date()
+    });
+    request.status = 'approved';
+
+    await request.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: userRole,
+      action: 'approved_item_request',
+      description: `Approved item request ${request.requestId}`,
+      resourceType: 'ItemRequest',
+      resourceId: request._id,
+      metadata: { requestId: request.requestId },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Item request approved successfully',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving item request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline item request
+// @route   PUT /api/item-requests/:id/decline
+// @access  Private (Approver, Supervisor, ROM Supervisor, Corporate Services)
+exports.declineItemRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for declining'
+      });
+    }
+
+    const request = await ItemRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Item request is already ${request.status.replace('_', ' ')}`
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    request.approvals.push({
+      approver: req.user._id,
+      approverRole: userRole,
+      status: 'declined',
+      comments: reason,
+      approvedAt: new Date()
+    });
+    request.status = 'declined';
+    request.declinedBy = {
+      user: req.user._id,
+      reason,
+      declinedAt: new Date()
+    };
+
+    await request.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: userRole,
+      action: 'declined_item_request',
+      description: `Declined item request ${request.requestId}`,
+      resourceType: 'ItemRequest',
+      resourceId: request._id,
+      metadata: { requestId: request.requestId, reason },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Item request declined',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error declining item request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Fulfill item request, fully or partially. Catalogue items are
+//          issued from stock in the same transaction.
+// @route   PUT /api/item-requests/:id/fulfill
+// @access  Private (Logistics department, Corporate Services)
+exports.fulfillItemRequest = async (req, res) => {
+  try {
+    const { items, notes, store } = req.body;
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    if (!canFulfill(req.user, userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only Logistics or Corporate Services can fulfill item requests'
+      });
+    }
+
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the items being issued'
+      });
+    }
+
+    const request = await ItemRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item request not found'
+      });
+    }
+
+    if (!['approved', 'partially_fulfilled'].includes(request.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved item requests can be fulfilled'
+      });
+    }
+
+    // Check each line against what was requested and already issued
+    const fulfilled = request.getFulfilledQuantities();
+    for (const entry of items) {
+      const item = request.items.id(entry.itemId);
+      const quantity = Number(entry.quantityFulfilled);
+
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${entry.itemId} is not part of this request`
+        });
+      }
+
+      if (!(quantity > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `Please provide a quantity for ${item.description}`
+        });
+      }
+
+      const outstanding = item.quantity - (fulfilled[String(item._id)] || 0);
+      if (quantity > outstanding) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${outstanding} ${item.unit} of ${item.description} is outstanding`
+        });
+      }
+
+      if (item.stockItem && !(entry.store || store)) {
+        return res.status(400).json({
+          success: false,
+          message: `Please select the store issuing ${item.description}`
+        });
+      }
+      fulfilled[String(item._id)] = (fulfilled[String(item._id)] || 0) + quantity;
+    }
+
+    // Record the fulfillment, posting stock issues in the same session
+    const applyFulfillment = async (session) => {
+      request.fulfillment = request.fulfillment || {};
+      request.fulfillment.fulfilledBy = req.user._id;
+      request.fulfillment.fulfilledAt = new Date();
+      if (notes) request.fulfillment.notes = notes;
+
+      for (const entry of items) {
+        const item = request.items.id(entry.itemId);
+        const quantity = Number(entry.quantityFulfilled);
+        const issueStore = entry.store || store;
+
+        let movement;
+        if (item.stockItem) {
+          movement = await StockMovement.post({
+            item: item.stockItem,
+            store: issueStore,
+            type: 'issue',
+            quantity: -quantity,
+            reference: { itemRequest: request._id, requestId: request.requestId },
+            notes: entry.notes,
+            postedBy: req.user._id
+          }, session);
+        }
+
+        request.fulfillment.itemsFulfilled.push({
+          itemId: item._id,
+          quantityFulfilled: quantity,
+          store: item.stockItem ? issueStore : undefined,
+          stockMovement: movement?._id,
+          notes: entry.notes
+        });
+      }
+
+      request.status = request.isFullyFulfilled() ? 'fulfilled' : 'partially_fulfilled';
+      await request.save({ session });
+    };
+
+    const issuesStock = items.some(entry => request.items.id(entry.itemId).stockItem);
+
+    if (!issuesStock) {
+      await applyFulfillment();
+    } else {
+      // Stock issues and the fulfillment are posted together, or not at
+      // all. Transactions need MongoDB to run as a replica set.
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+        await applyFulfillment(session);
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        if (/replica set|Transaction numbers/i.test(error.message)) {
+          error.statusCode = 503;
+          error.message = 'Issuing from stock needs MongoDB to run as a replica set (transactions are unavailable)';
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: userRole,
+      action: 'fulfilled_item_request',
+      description: `${request.status === 'fulfilled' ? 'Fulfilled' : 'Partially fulfilled'} item request ${request.requestId}`,
+      resourceType: 'ItemRequest',
+      resourceId: request._id,
+      metadata: { requestId: request.requestId, status: request.status, items },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: request.status === 'fulfilled'
+        ? 'Item request fulfilled'
+        : 'Item request partially fulfilled',
+      data: {
+        request,
+        fulfilledQuantities: request.getFulfilledQuantities()
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error fulfilling item request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,537 @@
+// controllers/priceMonitoring.controller.js
+const Facility = require('../models/facility.model');
+const PriceCap = require('../models/priceCap.model');
+const PriceObservation = require('../models/priceObservation.model');
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STAT_INTERVALS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+const median = (values) => {
+  const sorted = values.filter(value => value != null).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Observation window from startDate/endDate, defaulting to the last 30 days
+const observationWindow = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY);
+  return { start, end };
+};
+
+// Average, median, min/max and spread of observed prices per product,
+// split by interval (and any extra group keys) when given
+const priceStats = async (match, { interval, groupBy = {} } = {}) => {
+  const rows = await PriceObservation.aggregate([
+    { $match: match },
+    { $group: {
+      _id: {
+        product: '$product',
+        ...groupBy,
+        ...(interval && { period: { $dateToString: { format: STAT_INTERVALS[interval], date: '$observedAt' } } })
+      },
+      observations: { $sum: 1 },
+      prices: { $push: '$observedPrice' },
+      average: { $avg: '$observedPrice' },
+      min: { $min: '$observedPrice' },
+      max: { $max: '$observedPrice' },
+      breaches: { $sum: { $cond: ['$capCheck.breached', 1, 0] } }
+    } },
+    { $sort: { '_id.product': 1, '_id.period': 1 } }
+  ]);
+
+  return rows.map(({ _id, prices, ...row }) => ({
+    ..._id,
+    ...row,
+    median: median(prices),
+    spread: row.max - row.min
+  }));
+};
+
+// Tell the ROM Supervisors, preferring those of the observation's region
+const notifySupervisors = async (observation, facility) => {
+  const supervisors = await User.findActiveByRole('ROM Supervisor');
+  const regional = supervisors.filter(user => observation.region && user.region === observation.region);
+  const recipients = regional.length ? regional : supervisors;
+
+  const where = observation.outletName ? `${observation.outletName}, ${facility.name}` : facility.name;
+  observation.notify(
+    recipients,
+    `${observation.product} sold at ₦${observation.capCheck.cap + observation.capCheck.excess}/L at ${where}, ` +
+      `₦${observation.capCheck.excess}/L above the ₦${observation.capCheck.cap}/L cap`,
+    'price_cap_breach'
+  );
+  return recipients;
+};
+
+// @desc    Record pump price observations for a facility
+// @route   POST /api/facilities/:id/prices
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.recordObservations = async (req, res) => {
+  try {
+    const entries = req.body.observations || [req.body];
+
+    if (!Array.isArray(entries) || !entries.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least one price observation'
+      });
+    }
+
+    const facility = await Facility.findById(req.params.id);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const observations = [];
+    for (const entry of entries) {
+      const outlet = entry.outletId ? facility.retailOutlets.id(entry.outletId) : null;
+      if (entry.outletId && !outlet) {
+        return res.status(400).json({
+          success: false,
+          message: `Retail outlet ${entry.outletId} is not part of this facility`
+        });
+      }
+
+      const observation = new PriceObservation({
+        facility: facility._id,
+        outlet: outlet?._id,
+        outletName: outlet?.outletName,
+        region: facility.region || req.user.region,
+        product: entry.product,
+        observedPrice: entry.observedPrice,
+        minPrice: entry.minPrice,
+        maxPrice: entry.maxPrice,
+        observedAt: entry.observedAt || new Date(),
+        observedBy: req.user._id,
+        notes: entry.notes
+      });
+      await observation.validate();
+      observations.push(observation);
+    }
+
+    // Only save once every entry is valid
+    const breaches = [];
+    for (const observation of observations) {
+      await observation.checkCap();
+      if (observation.capCheck.breached) {
+        const recipients = await notifySupervisors(observation, facility);
+        breaches.push({ observation, recipients });
+      }
+      await observation.save();
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'recorded_price_observation',
+      description: `Recorded ${observations.length} price observation(s) at ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        observations: observations.map(({ _id, product, observedPrice }) => ({ _id, product, observedPrice }))
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    for (const { observation, recipients } of breaches) {
+      await ActivityLog.createLog({
+        user: req.user._id,
+        staffName: req.user.name,
+        role: req.user.role,
+        action: 'flagged_price_cap_breach',
+        description: `${observation.product} above cap at ${facility.name}`,
+        resourceType: 'Facility',
+        resourceId: facility._id,
+        metadata: {
+          facilityName: facility.name,
+          observationId: observation._id,
+          product: observation.product,
+          observedPrice: observation.observedPrice,
+          cap: observation.capCheck.cap,
+          excess: observation.capCheck.excess,
+          notified: recipients.map(user => user._id)
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: breaches.length
+        ? `Price observations recorded. ${breaches.length} above the regulated cap`
+        : 'Price observations recorded successfully',
+      data: { observations, breaches: breaches.length }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error recording price observations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get price observations for a facility
+// @route   GET /api/facilities/:id/prices
+// @access  Private
+exports.getFacilityPrices = async (req, res) => {
+  try {
+    const { product, outletId, breached, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    let query = { facility: req.params.id };
+    if (product) query.product = product;
+    if (outletId) query.outlet = outletId;
+    if (breached !== undefined) query['capCheck.breached'] = breached === 'true';
+    if (startDate || endDate) {
+      query.observedAt = {};
+      if (startDate) query.observedAt.$gte = new Date(startDate);
+      if (endDate) query.observedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [observations, total] = await Promise.all([
+      PriceObservation.find(query)
+        .select('-notifications')
+        .populate('observedBy', 'name staffId')
+        .sort('-observedAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PriceObservation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        observations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price observations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Price statistics for a facility over time
+// @route   GET /api/facilities/:id/prices/stats?product=&startDate=&endDate=&interval=
+// @access  Private
+exports.getFacilityPriceStats = async (req, res) => {
+  try {
+    const { product, interval = 'day' } = req.query;
+
+    if (!STAT_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(STAT_INTERVALS).join(', ')}`
+      });
+    }
+
+    const facility = await Facility.findById(req.params.id).select('name serialNo region');
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    const { start, end } = observationWindow(req.query);
+    const match = { facility: facility._id, observedAt: { $gte: start, $lte: end } };
+    if (product) match.product = product;
+
+    const [summary, series] = await Promise.all([
+      priceStats(match),
+      priceStats(match, { interval })
+    ]);
+
+    res.json({
+      success: true,
+      data: { facility, interval, startDate: start, endDate: end, summary, series }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching facility price statistics',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Price statistics per region over time
+// @route   GET /api/prices/stats?region=&product=&startDate=&endDate=&interval=
+// @access  Private
+exports.getRegionPriceStats = async (req, res) => {
+  try {
+    const { region, product, interval = 'week' } = req.query;
+
+    if (!STAT_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(STAT_INTERVALS).join(', ')}`
+      });
+    }
+
+    const { start, end } = observationWindow(req.query);
+    const match = { observedAt: { $gte: start, $lte: end } };
+    if (region) match.region = region.toUpperCase();
+    if (product) match.product = product;
+
+    const groupBy = { region: '$region' };
+    const [summary, series] = await Promise.all([
+      priceStats(match, { groupBy }),
+      priceStats(match, { interval, groupBy })
+    ]);
+
+    res.json({
+      success: true,
+      data: { interval, startDate: start, endDate: end, summary, series }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching regional price statistics',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Observations above the regulated cap
+// @route   GET /api/prices/breaches
+// @access  Private (ROM Supervisor, Regional Coordinator, ICT Admin)
+exports.getPriceBreaches = async (req, res) => {
+  try {
+    const { region, product, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    let query = { 'capCheck.breached': true };
+    if (region) query.region = region.toUpperCase();
+    if (product) query.product = product;
+    if (startDate || endDate) {
+      query.observedAt = {};
+      if (startDate) query.observedAt.$gte = new Date(startDate);
+      if (endDate) query.observedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [breaches, total] = await Promise.all([
+      PriceObservation.find(query)
+        .select('-notifications')
+        .populate('facility', 'name serialNo address region')
+        .populate('observedBy', 'name staffId')
+        .sort('-observedAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PriceObservation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        breaches,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price cap breaches',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get price caps
+// @route   GET /api/prices/caps
+// @access  Private
+exports.getPriceCaps = async (req, res) => {
+  try {
+    const { product, region, isActive } = req.query;
+
+    let query = {};
+    if (product) query.product = product;
+    if (region) query.region = region.toUpperCase();
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const caps = await PriceCap.find(query)
+      .populate('createdBy', 'name staffId')
+      .sort({ product: 1, region: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      data: { caps }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching price caps',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a regulated price cap
+// @route   POST /api/prices/caps
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.createPriceCap = async (req, res) => {
+  try {
+    const { product, region, cap, effectiveFrom, effectiveTo, reference } = req.body;
+
+    const priceCap = await PriceCap.create({
+      product,
+      region,
+      cap,
+      effectiveFrom,
+      effectiveTo,
+      reference,
+      createdBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'added_price_cap',
+      description: `Set ${priceCap.product} cap of ₦${priceCap.cap}/L${priceCap.region ? ` for ${priceCap.region}` : ''}`,
+      resourceType: 'PriceCap',
+      resourceId: priceCap._id,
+      metadata: { product: priceCap.product, region: priceCap.region, cap: priceCap.cap },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Price cap created successfully',
+      data: { priceCap }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating price cap',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a price cap
+// @route   PUT /api/prices/caps/:id
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.updatePriceCap = async (req, res) => {
+  try {
+    const priceCap = await PriceCap.findById(req.params.id);
+
+    if (!priceCap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price cap not found'
+      });
+    }
+
+    const allowedUpdates = ['cap', 'region', 'effectiveFrom', 'effectiveTo', 'reference', 'isActive'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        priceCap[field] = req.body[field];
+      }
+    });
+    priceCap.lastModifiedBy = req.user._id;
+
+    await priceCap.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_price_cap',
+      description: `Updated ${priceCap.product} price cap${priceCap.region ? ` for ${priceCap.region}` : ''}`,
+      resourceType: 'PriceCap',
+      resourceId: priceCap._id,
+      metadata: { product: priceCap.product, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Price cap updated successfully',
+      data: { priceCap }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating price cap',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate a price cap (kept for past breach checks)
+// @route   DELETE /api/prices/caps/:id
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.deactivatePriceCap = async (req, res) => {
+  try {
+    const priceCap = await PriceCap.findById(req.params.id);
+
+    if (!priceCap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price cap not found'
+      });
+    }
+
+    priceCap.isActive = false;
+    priceCap.lastModifiedBy = req.user._id;
+    await priceCap.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'deactivated_price_cap',
+      description: `Deactivated ${priceCap.product} price cap${priceCap.region ? ` for ${priceCap.region}` : ''}`,
+      resourceType: 'PriceCap',
+      resourceId: priceCap._id,
+      metadata: { product: priceCap.product, region: priceCap.region, cap: priceCap.cap },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Price cap deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating price cap',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
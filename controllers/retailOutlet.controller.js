@@ -0,0 +1,428 @@
+// controllers/retailOutlet.controller.js
+const Facility = require('../models/facility.model');
+const OutletReading = require('../models/outletReading.model');
+const ActivityLog = require('../models/activitylog.model');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TREND_INTERVALS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+// Find a facility and one of its retail outlets
+const findOutlet = async (facilityId, outletId) => {
+  const facility = await Facility.findById(facilityId);
+  const outlet = facility?.retailOutlets?.id(outletId);
+  return { facility, outlet };
+};
+
+const notFound = (res, facility) => res.status(404).json({
+  success: false,
+  message: facility ? 'Retail outlet not found' : 'Facility not found'
+});
+
+// Reading window from startDate/endDate, defaulting to the last 30 days
+const readingWindow = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY);
+  return { start, end };
+};
+
+// @desc    Get retail outlets of a facility
+// @route   GET /api/facilities/:id/outlets
+// @access  Private
+exports.getOutlets = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id)
+      .select('name serialNo retailOutlets')
+      .populate('retailOutlets.updatedBy', 'name staffId');
+
+    if (!facility) return notFound(res);
+
+    res.json({
+      success: true,
+      data: { outlets: facility.retailOutlets }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching retail outlets',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single retail outlet with its latest readings
+// @route   GET /api/facilities/:id/outlets/:outletId
+// @access  Private
+exports.getOutlet = async (req, res) => {
+  try {
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    const recentReadings = await OutletReading.find({ facility: facility._id, outlet: outlet._id })
+      .populate('recordedBy', 'name staffId')
+      .sort('-readingDate')
+      .limit(10);
+
+    res.json({
+      success: true,
+      data: { outlet, recentReadings }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching retail outlet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add retail outlet to a facility
+// @route   POST /api/facilities/:id/outlets
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.addOutlet = async (req, res) => {
+  try {
+    const { outletName, outletAddress } = req.body;
+
+    if (!outletName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the outlet name'
+      });
+    }
+
+    const facility = await Facility.findById(req.params.id);
+    if (!facility) return notFound(res);
+
+    facility.retailOutlets.push({
+      outletName,
+      outletAddress,
+      updatedBy: req.user._id
+    });
+    const outlet = facility.retailOutlets[facility.retailOutlets.length - 1];
+    facility.lastModifiedBy = req.user._id;
+
+    await facility.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'added_retail_outlet',
+      description: `Added retail outlet ${outlet.outletName} to ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: { facilityName: facility.name, outletId: outlet._id, outletName: outlet.outletName },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Retail outlet added successfully',
+      data: { outlet }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding retail outlet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update retail outlet details. Readings are recorded through
+//          the readings endpoint so history is kept.
+// @route   PUT /api/facilities/:id/outlets/:outletId
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.updateOutlet = async (req, res) => {
+  try {
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    const allowedUpdates = ['outletName', 'outletAddress'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        outlet[field] = req.body[field];
+      }
+    });
+    facility.lastModifiedBy = req.user._id;
+
+    await facility.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_retail_outlet',
+      description: `Updated retail outlet ${outlet.outletName} at ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: { facilityName: facility.name, outletId: outlet._id, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Retail outlet updated successfully',
+      data: { outlet }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating retail outlet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove retail outlet (only if it has no readings)
+// @route   DELETE /api/facilities/:id/outlets/:outletId
+// @access  Private (ROM Supervisor, ICT Admin)
+exports.deleteOutlet = async (req, res) => {
+  try {
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    const hasReadings = await OutletReading.exists({ facility: facility._id, outlet: outlet._id });
+    if (hasReadings) {
+      return res.status(400).json({
+        success: false,
+        message: 'Retail outlet has reading history and cannot be removed'
+      });
+    }
+
+    const { outletName } = outlet;
+    outlet.deleteOne();
+    facility.lastModifiedBy = req.user._id;
+
+    await facility.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'deleted_retail_outlet',
+      description: `Removed retail outlet ${outletName} from ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: { facilityName: facility.name, outletId: req.params.outletId, outletName },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Retail outlet removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing retail outlet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a dated stock, receipt, price and pump reading
+// @route   POST /api/facilities/:id/outlets/:outletId/readings
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.addReading = async (req, res) => {
+  try {
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    const { readingDate, notes } = req.body;
+    const values = {};
+    OutletReading.READING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+    });
+
+    const reading = await OutletReading.create({
+      facility: facility._id,
+      outlet: outlet._id,
+      outletName: outlet.outletName,
+      readingDate: readingDate || new Date(),
+      ...values,
+      notes,
+      recordedBy: req.user._id
+    });
+
+    // The outlet keeps the latest values; back-dated readings only add history
+    if (reading.applyToOutlet(outlet, values)) {
+      await facility.save();
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'recorded_outlet_reading',
+      description: `Recorded reading for ${outlet.outletName} at ${facility.name}`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        outletId: outlet._id,
+        readingId: reading._id,
+        readingDate: reading.readingDate,
+        ...values
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reading recorded successfully',
+      data: { reading, outlet }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error recording reading',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reading history of a retail outlet
+// @route   GET /api/facilities/:id/outlets/:outletId/readings
+// @access  Private
+exports.getReadings = async (req, res) => {
+  try {
+    const { startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    let query = { facility: facility._id, outlet: outlet._id };
+    if (startDate || endDate) {
+      query.readingDate = {};
+      if (startDate) query.readingDate.$gte = new Date(startDate);
+      if (endDate) query.readingDate.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [readings, total] = await Promise.all([
+      OutletReading.find(query)
+        .populate('recordedBy', 'name staffId')
+        .sort('-readingDate')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      OutletReading.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        readings,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching readings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Stock, receipt and price trend of a retail outlet, bucketed by
+//          day, week or month (defaults to the last 30 days by day)
+// @route   GET /api/facilities/:id/outlets/:outletId/trends?startDate=&endDate=&interval=
+// @access  Private
+exports.getOutletTrends = async (req, res) => {
+  try {
+    const { interval = 'day' } = req.query;
+
+    if (!TREND_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(TREND_INTERVALS).join(', ')}`
+      });
+    }
+
+    const { facility, outlet } = await findOutlet(req.params.id, req.params.outletId);
+    if (!outlet) return notFound(res, facility);
+
+    const { start, end } = readingWindow(req.query);
+    const match = {
+      facility: facility._id,
+      outlet: outlet._id,
+      readingDate: { $gte: start, $lte: end }
+    };
+
+    const [series, [summary]] = await Promise.all([
+      OutletReading.aggregate([
+        { $match: match },
+        { $sort: { readingDate: 1 } },
+        { $group: {
+          _id: { $dateToString: { format: TREND_INTERVALS[interval], date: '$readingDate' } },
+          readings: { $sum: 1 },
+          openingStock: { $first: '$pmsOpeningStock' },
+          closingStock: { $last: '$pmsOpeningStock' },
+          minStock: { $min: '$pmsOpeningStock' },
+          maxStock: { $max: '$pmsOpeningStock' },
+          productReceived: { $sum: { $ifNull: ['$productReceived', 0] } },
+          averagePrice: { $avg: '$pumpPrice' },
+          minPrice: { $min: '$pumpPrice' },
+          maxPrice: { $max: '$pumpPrice' },
+          pumpDispensingLevel: { $last: '$pumpDispensingLevel' }
+        } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', readings: 1, openingStock: 1, closingStock: 1,
+          minStock: 1, maxStock: 1, productReceived: 1, averagePrice: 1, minPrice: 1,
+          maxPrice: 1, pumpDispensingLevel: 1 } }
+      ]),
+      OutletReading.aggregate([
+        { $match: match },
+        { $sort: { readingDate: 1 } },
+        { $group: {
+          _id: null,
+          readings: { $sum: 1 },
+          firstStock: { $first: '$pmsOpeningStock' },
+          lastStock: { $last: '$pmsOpeningStock' },
+          totalReceived: { $sum: { $ifNull: ['$productReceived', 0] } },
+          averagePrice: { $avg: '$pumpPrice' },
+          minPrice: { $min: '$pumpPrice' },
+          maxPrice: { $max: '$pumpPrice' }
+        } },
+        { $project: { _id: 0 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        outlet: { _id: outlet._id, outletName: outlet.outletName },
+        interval,
+        startDate: start,
+        endDate: end,
+        summary: summary
+          ? {
+            ...summary,
+            stockChange: summary.firstStock != null && summary.lastStock != null
+              ? summary.lastStock - summary.firstStock
+              : null
+          }
+          : { readings: 0 },
+        series
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outlet trends',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
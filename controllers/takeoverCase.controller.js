@@ -0,0 +1,684 @@
+// controllers/takeoverCase.controller.js
+const Facility = require('../models/facility.model');
+const FacilityHistory = require('../models/facilityHistory.model');
+const TakeoverCase = require('../models/takeoverCase.model');
+const ActivityLog = require('../models/activitylog.model');
+const { getStorage, storeFile, copyStoredFile, sendStoredFile } = require('../utils/storage');
+
+const logCase = (req, takeoverCase, action, description, metadata = {}) => ActivityLog.createLog({
+  user: req.user._id,
+  staffName: req.user.name,
+  role: req.user.isActingAs?.role || req.user.role,
+  action,
+  description,
+  resourceType: 'TakeoverCase',
+  resourceId: takeoverCase._id,
+  metadata: {
+    caseId: takeoverCase.caseId,
+    facility: takeoverCase.facility._id || takeoverCase.facility,
+    company: takeoverCase.company,
+    ...metadata
+  },
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Apply an approved case to its facility: company, date, documents and status.
+// The case documents are copied to the facility, so removing a facility
+// document version never takes the file out from under the case.
+const completeTakeover = async (takeoverCase, userId) => {
+  const facility = await Facility.findById(takeoverCase.facility);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Already applied by an earlier attempt whose later steps failed
+  if (facility.takenOverBy?.takeoverCase?.equals(takeoverCase._id)) {
+    return facility;
+  }
+
+  const before = facility.toObject();
+  facility.set('takenOverBy.company', takeoverCase.company);
+  facility.set('takenOverBy.date', takeoverCase.effectiveDate);
+  facility.set('takenOverBy.takeoverCase', takeoverCase._id);
+  facility.fileType = 'Take Over File';
+  facility.status = 'Taken Over';
+
+  const storedKeys = [];
+  try {
+    for (const caseDoc of takeoverCase.documents) {
+      const stored = await copyStoredFile(`facilities/${facility._id}`, caseDoc);
+      storedKeys.push(stored.storageKey);
+
+      facility.takenOverBy.documents.push({ category: caseDoc.category });
+      const doc = facility.takenOverBy.documents[facility.takenOverBy.documents.length - 1];
+      doc.addVersion({ ...stored, filename: caseDoc.filename }, caseDoc.uploadedBy, {
+        changeNote: `Takeover case ${takeoverCase.caseId}`
+      });
+      doc.fileUrl = `/api/facilities/${facility._id}/documents/${doc._id}/download`;
+    }
+
+    facility.lastModifiedBy = userId;
+    await facility.save();
+  } catch (error) {
+    await Promise.all(storedKeys.map(key => getStorage().remove(key).catch(() => {})));
+    throw error;
+  }
+
+  await FacilityHistory.record(facility._id, FacilityHistory.diff(before, facility.toObject()), userId, {
+    comments: `Takeover case ${takeoverCase.caseId} approved`
+  });
+  return facility;
+};
+
+// @desc    Open a takeover case against a facility
+// @route   POST /api/takeovers
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.openCase = async (req, res) => {
+  try {
+    const { facility: facilityId, company, effectiveDate, notes } = req.body;
+
+    const facility = await Facility.findById(facilityId);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    if (facility.status === 'Taken Over') {
+      return res.status(400).json({
+        success: false,
+        message: 'Facility has already been taken over'
+      });
+    }
+
+    const openCase = await TakeoverCase.findOne({ facility: facility._id, status: { $in: ['draft', 'pending'] } });
+    if (openCase) {
+      return res.status(400).json({
+        success: false,
+        message: `Facility already has an open takeover case (${openCase.caseId})`
+      });
+    }
+
+    const takeoverCase = await TakeoverCase.create({
+      facility: facility._id,
+      region: facility.region || req.user.region,
+      company,
+      effectiveDate,
+      notes,
+      openedBy: req.user._id
+    });
+
+    await logCase(req, takeoverCase, 'opened_takeover_case',
+      `Opened takeover case ${takeoverCase.caseId} for ${facility.name}`,
+      { facilityName: facility.name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Takeover case opened successfully',
+      data: {
+        takeoverCase,
+        requiredDocuments: TakeoverCase.REQUIRED_DOCUMENTS
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error opening takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get takeover cases
+// @route   GET /api/takeovers
+// @access  Private
+exports.getCases = async (req, res) => {
+  try {
+    const { status, facility, region, awaitingMe, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (facility) query.facility = facility;
+    if (region) query.region = region.toUpperCase();
+    if (awaitingMe === 'true') {
+      const userRole = req.user.isActingAs?.role || req.user.role;
+      query.status = 'pending';
+      query.currentApprovalStage = {
+        $in: TakeoverCase.TAKEOVER_STAGES.filter(stage => stage.roles.includes(userRole)).map(stage => stage.stage)
+      };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [cases, total] = await Promise.all([
+      TakeoverCase.find(query)
+        .select('-inventorySnapshot')
+        .populate('facility', 'name serialNo address status')
+        .populate('openedBy', 'name staffId')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      TakeoverCase.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cases,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching takeover cases',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single takeover case
+// @route   GET /api/takeovers/:id
+// @access  Private
+exports.getCase = async (req, res) => {
+  try {
+    const takeoverCase = await TakeoverCase.findById(req.params.id)
+      .populate('facility', 'name serialNo address status retailOutlets')
+      .populate('openedBy', 'name staffId email')
+      .populate('approvals.approvedBy', 'name staffId')
+      .populate('documents.uploadedBy', 'name staffId')
+      .populate('declinedBy.user', 'name staffId');
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        takeoverCase,
+        missingDocuments: takeoverCase.getMissingDocuments()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a draft takeover case
+// @route   PUT /api/takeovers/:id
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.updateCase = async (req, res) => {
+  try {
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    if (takeoverCase.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft takeover cases can be edited'
+      });
+    }
+
+    const allowedUpdates = ['company', 'effectiveDate', 'notes'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        takeoverCase[field] = req.body[field];
+      }
+    });
+
+    await takeoverCase.save();
+
+    res.json({
+      success: true,
+      message: 'Takeover case updated successfully',
+      data: { takeoverCase }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Attach documents to a draft takeover case
+// @route   POST /api/takeovers/:id/documents
+// @access  Private (upload_files permission)
+exports.uploadCaseDocuments = async (req, res) => {
+  try {
+    const { category } = req.body;
+
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one file'
+      });
+    }
+
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a document category (required: ${TakeoverCase.REQUIRED_DOCUMENTS.join(', ')})`
+      });
+    }
+
+    const takeoverCase = await TakeoverCase.findById(req.params.id).populate('facility', 'name');
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    if (takeoverCase.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Documents can only be attached to draft takeover cases'
+      });
+    }
+
+    const uploaded = [];
+    const storedKeys = [];
+    for (const file of req.files) {
+      const stored = await storeFile(`takeovers/${takeoverCase._id}`, file);
+      storedKeys.push(stored.storageKey);
+      takeoverCase.documents.push({
+        category,
+        filename: file.originalname,
+        ...stored,
+        uploadedBy: req.user._id
+      });
+      uploaded.push(takeoverCase.documents[takeoverCase.documents.length - 1]);
+    }
+
+    try {
+      await takeoverCase.save();
+    } catch (error) {
+      // Do not leave orphaned files behind
+      await Promise.all(storedKeys.map(key => getStorage().remove(key)));
+      throw error;
+    }
+
+    await logCase(req, takeoverCase, 'uploaded_takeover_file',
+      `Uploaded ${uploaded.length} ${category} document(s) to takeover case ${takeoverCase.caseId}`,
+      {
+        facilityName: takeoverCase.facility.name,
+        documents: uploaded.map(doc => ({ filename: doc.filename, category, size: doc.size, checksum: doc.checksum }))
+      });
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      data: {
+        documents: uploaded,
+        missingDocuments: takeoverCase.getMissingDocuments()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading documents',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a takeover case document
+// @route   GET /api/takeovers/:id/documents/:docId/download
+// @access  Private
+exports.downloadCaseDocument = async (req, res) => {
+  try {
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+    const doc = takeoverCase?.documents.id(req.params.docId);
+
+    if (!doc?.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await sendStoredFile(req, res, doc, 'attachment');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a document from a draft takeover case
+// @route   DELETE /api/takeovers/:id/documents/:docId
+// @access  Private (upload_files permission)
+exports.deleteCaseDocument = async (req, res) => {
+  try {
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+    const doc = takeoverCase?.documents.id(req.params.docId);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (takeoverCase.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Documents can only be removed from draft takeover cases'
+      });
+    }
+
+    const { storageKey } = doc;
+    doc.deleteOne();
+    await takeoverCase.save();
+    if (storageKey) await getStorage().remove(storageKey);
+
+    res.json({
+      success: true,
+      message: 'Document removed successfully',
+      data: { missingDocuments: takeoverCase.getMissingDocuments() }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing document',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Snapshot the outlets' inventory and send the case for approval
+// @route   PUT /api/takeovers/:id/submit
+// @access  Private (ROM department, ROM Supervisor, ICT Admin)
+exports.submitCase = async (req, res) => {
+  try {
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    if (takeoverCase.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Takeover case is already ${takeoverCase.status}`
+      });
+    }
+
+    const missing = takeoverCase.getMissingDocuments();
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Please attach the required documents: ${missing.join(', ')}`,
+        data: { missingDocuments: missing }
+      });
+    }
+
+    const facility = await Facility.findById(takeoverCase.facility);
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        message: 'Facility not found'
+      });
+    }
+
+    takeoverCase.takeInventorySnapshot(facility);
+    takeoverCase.initializeApprovals();
+    takeoverCase.status = 'pending';
+    takeoverCase.submittedAt = new Date();
+
+    await takeoverCase.save();
+
+    await logCase(req, takeoverCase, 'submitted_takeover_case',
+      `Submitted takeover case ${takeoverCase.caseId} for ${facility.name}`,
+      { facilityName: facility.name, outlets: takeoverCase.inventorySnapshot.length });
+
+    res.json({
+      success: true,
+      message: 'Takeover case submitted for approval',
+      data: { takeoverCase }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve the current stage. The final approval marks the
+//          facility as Taken Over.
+// @route   PUT /api/takeovers/:id/approve
+// @access  Private (ROM Supervisor, Regional Coordinator)
+exports.approveCase = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    if (!takeoverCase.canBeApprovedBy(userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to approve at this stage'
+      });
+    }
+
+    const stage = takeoverCase.getCurrentApproval().name;
+    const previous = {
+      approvals: takeoverCase.toObject().approvals,
+      currentApprovalStage: takeoverCase.currentApprovalStage
+    };
+    const completed = takeoverCase.recordDecision(req.user._id, 'approved', comments);
+
+    // Move the case on only if nobody decided this stage in the meantime,
+    // so concurrent final approvals cannot both complete the takeover
+    takeoverCase.$where = { status: 'pending', currentApprovalStage: previous.currentApprovalStage };
+    try {
+      await takeoverCase.save();
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError') throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'This stage has already been decided, please reload the case'
+      });
+    }
+
+    let facility;
+    if (completed) {
+      try {
+        facility = await completeTakeover(takeoverCase, req.user._id);
+      } catch (error) {
+        // Put the case back at its final stage so the approval can be retried
+        await TakeoverCase.updateOne(
+          { _id: takeoverCase._id, status: 'approved' },
+          { $set: { status: 'pending', ...previous }, $unset: { completedAt: 1 } }
+        );
+        throw error;
+      }
+    }
+
+    await logCase(req, takeoverCase, 'approved_takeover_case',
+      `Approved takeover case ${takeoverCase.caseId} at ${stage} stage`,
+      { stage, completed });
+
+    if (completed) {
+      await logCase(req, takeoverCase, 'uploaded_takeover_file',
+        `Facility ${facility.name} taken over by ${takeoverCase.company}`,
+        { facilityName: facility.name, effectiveDate: takeoverCase.effectiveDate, documents: takeoverCase.documents.length });
+    }
+
+    res.json({
+      success: true,
+      message: completed
+        ? 'Takeover approved. Facility is now marked as Taken Over'
+        : 'Takeover case approved successfully',
+      data: { takeoverCase, facility }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error approving takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline a takeover case at the current stage
+// @route   PUT /api/takeovers/:id/decline
+// @access  Private (ROM Supervisor, Regional Coordinator)
+exports.declineCase = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for declining'
+      });
+    }
+
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+
+    if (!takeoverCase.canBeApprovedBy(userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to decline at this stage'
+      });
+    }
+
+    const stage = takeoverCase.getCurrentApproval().name;
+    takeoverCase.recordDecision(req.user._id, 'declined', reason);
+    takeoverCase.declinedBy = {
+      user: req.user._id,
+      reason,
+      declinedAt: new Date()
+    };
+
+    await takeoverCase.save();
+
+    await logCase(req, takeoverCase, 'declined_takeover_case',
+      `Declined takeover case ${takeoverCase.caseId} at ${stage} stage`,
+      { stage, reason });
+
+    res.json({
+      success: true,
+      message: 'Takeover case declined',
+      data: { takeoverCase }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error declining takeover case',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel an open takeover case
+// @route   PUT /api/takeovers/:id/cancel
+// @access  Private (case opener, ROM Supervisor, ICT Admin)
+exports.cancelCase = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const takeoverCase = await TakeoverCase.findById(req.params.id);
+
+    if (!takeoverCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Takeover case not found'
+      });
+    }
+
+    const userRole = req.user.isActingAs?.role || req.user.role;
+    if (!takeoverCase.openedBy.equals(req.user._id) && !['ROM Supervisor', 'ICT Admin'].includes(userRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot cancel this takeover case'
+      });
+    }
+
+    if (!takeoverCase.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `Takeover case is already ${takeoverCase.status}`
+      });
+    }
+
+    takeoverCase.status = 'cancelled';
+    takeoverCase.currentApprovalStage = undefined;
+    takeoverCase.cancellation = {
+      cancelledBy: req.user._id,
+      reason,
+      cancelledAt: new Date()
+    };
+
+    await takeoverCase.save();
+
+    await logCase(req, takeoverCase, 'cancelled_takeover_case',
+      `Cancelled takeover case ${takeoverCase.caseId}`,
+      { reason });
+
+    res.json({
+      success: true,
+      message: 'Takeover case cancelled',
+      data: { takeoverCase }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling takeover case',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
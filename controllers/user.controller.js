@@ -1,6 +1,7 @@
 // controllers/userController.js
-const User = require('../models/User');
-const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
+const { sendPasswordResetEmail } = require('../utils/mailer');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -18,7 +19,7 @@ exports.getUsers = async (req, res) => {
     
     const [users, total] = await Promise.all([
       User.find(query)
-        .select('-password')
+        .select('-password -passwordResetToken -passwordResetExpires')
         .populate('createdBy', 'name staffId')
         .populate('isActingAs.assignedBy', 'name staffId')
         .populate('relievingOfficer.officer', 'name staffId')
@@ -54,7 +55,7 @@ exports.getUsers = async (req, res) => {
 // @access  Private (ICT Admin)
 exports.updateUser = async (req, res) => {
   try {
-    const { name, email, department, role, isActive } = req.body;
+    const { name, email, department, role, region, isActive } = req.body;
 
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -68,6 +69,7 @@ exports.updateUser = async (req, res) => {
     if (email) user.email = email;
     if (department) user.department = department;
     if (role) user.role = role;
+    if (region !== undefined) user.region = region;
     if (isActive !== undefined) user.isActive = isActive;
 
     await user.save();
@@ -140,6 +142,59 @@ exports.deactivateUser = async (req, res) => {
   }
 };
 
+// @desc    Email a user a password reset link
+// @route   POST /api/users/:id/reset-password
+// @access  Private (ICT Admin)
+exports.resetUserPassword = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ 
+        success: false, 
+        message: user ? 'User is deactivated' : 'User not found' 
+      });
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, token, {
+        expiresAt: user.passwordResetExpires,
+        requestedBy: req.user
+      });
+    } catch (error) {
+      user.clearPasswordResetToken();
+      await user.save();
+      throw error;
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'password_reset',
+      description: `Sent a password reset link to ${user.name}`,
+      resourceType: 'User',
+      resourceId: user._id,
+      metadata: { stage: 'requested', requestedBy: req.user._id, expiresAt: user.passwordResetExpires },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Password reset link sent to ${user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error sending password reset', 
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Request relieving officer
 // @route   POST /api/users/relieving-officer
 // @access  Private (Regional Coordinator, Supervisors)
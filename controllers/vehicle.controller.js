@@ -0,0 +1,293 @@
+// controllers/vehicle.controller.js
+const Vehicle = require('../models/vehicle.model');
+const VehicleRequest = require('../models/vehicleRequest.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// @desc    Register vehicle
+// @route   POST /api/vehicles
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.createVehicle = async (req, res) => {
+  try {
+    const {
+      plateNumber, make, model, vehicleType,
+      seatingCapacity, homeStation, status, notes
+    } = req.body;
+
+    const vehicle = await Vehicle.create({
+      plateNumber,
+      make,
+      model,
+      vehicleType,
+      seatingCapacity,
+      homeStation,
+      status,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'added_vehicle',
+      description: `Registered vehicle ${vehicle.plateNumber}`,
+      resourceType: 'Vehicle',
+      resourceId: vehicle._id,
+      metadata: { plateNumber: vehicle.plateNumber, vehicleType },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle registered successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error registering vehicle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all vehicles
+// @route   GET /api/vehicles
+// @access  Private
+exports.getVehicles = async (req, res) => {
+  try {
+    const { status, vehicleType, homeStation, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (vehicleType) query.vehicleType = vehicleType;
+    if (homeStation) query.homeStation = homeStation;
+
+    const skip = (page - 1) * limit;
+
+    const [vehicles, total] = await Promise.all([
+      Vehicle.find(query)
+        .sort('plateNumber')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Vehicle.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        vehicles,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get vehicles free for a trip window
+// @route   GET /api/vehicles/available?requestId=|startDate=&endDate=
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.getAvailableVehicles = async (req, res) => {
+  try {
+    let { requestId, startDate, endDate, vehicleType, homeStation } = req.query;
+
+    if (requestId) {
+      const request = await VehicleRequest.findById(requestId);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle request not found'
+        });
+      }
+      startDate = request.departureDate;
+      endDate = request.dateOfReturn;
+      vehicleType = vehicleType || request.vehicleType;
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a requestId or a startDate and endDate'
+      });
+    }
+
+    const busyTrips = await VehicleRequest.findOverlappingTrips(
+      { 'vehicleAssignment.vehicle': { $exists: true } },
+      startDate,
+      endDate,
+      requestId
+    );
+    const busyVehicleIds = busyTrips.map(trip => trip.vehicleAssignment.vehicle);
+
+    let query = {
+      _id: { $nin: busyVehicleIds },
+      status: { $nin: ['under_maintenance', 'retired'] }
+    };
+    if (vehicleType) query.vehicleType = vehicleType;
+    if (homeStation) query.homeStation = homeStation;
+
+    const vehicles = await Vehicle.find(query).sort('plateNumber');
+
+    res.json({
+      success: true,
+      data: { vehicles }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching available vehicles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single vehicle with its upcoming and current trips
+// @route   GET /api/vehicles/:id
+// @access  Private
+exports.getVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .populate('createdBy', 'name staffId')
+      .populate('lastModifiedBy', 'name staffId');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const trips = await VehicleRequest.find({
+      'vehicleAssignment.vehicle': vehicle._id,
+      overallStatus: { $in: VehicleRequest.ACTIVE_TRIP_STATUSES }
+    })
+      .select('requestId destination destinationDetails departureDate dateOfReturn overallStatus')
+      .sort('departureDate');
+
+    res.json({
+      success: true,
+      data: { vehicle, trips }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private (Vehicle Officer, ICT Admin)
+exports.updateVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const allowedUpdates = ['plateNumber', 'make', 'model', 'vehicleType',
+                           'seatingCapacity', 'homeStation', 'status', 'notes'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        vehicle[field] = req.body[field];
+      }
+    });
+    vehicle.lastModifiedBy = req.user._id;
+
+    await vehicle.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'edited_vehicle',
+      description: `Updated vehicle ${vehicle.plateNumber}`,
+      resourceType: 'Vehicle',
+      resourceId: vehicle._id,
+      metadata: { plateNumber: vehicle.plateNumber, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating vehicle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete vehicle (only if it has never been assigned; otherwise retire it)
+// @route   DELETE /api/vehicles/:id
+// @access  Private (ICT Admin)
+exports.deleteVehicle = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const hasTrips = await VehicleRequest.exists({ 'vehicleAssignment.vehicle': vehicle._id });
+    if (hasTrips) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle has trip history and cannot be deleted. Set its status to retired instead'
+      });
+    }
+
+    await vehicle.deleteOne();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'deleted_vehicle',
+      description: `Deleted vehicle ${vehicle.plateNumber}`,
+      resourceType: 'Vehicle',
+      resourceId: vehicle._id,
+      metadata: { plateNumber: vehicle.plateNumber },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Vehicle deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting vehicle',
+      error: error.message
+    });
+  }
+};
+
+module.exports = exports;
@@ -1,7 +1,18 @@
 // controllers/vehicleRequestController.js
-const VehicleRequest = require('../models/VehicleRequest');
-const User = require('../models/User');
-const ActivityLog = require('../models/ActivityLog');
+const VehicleRequest = require('../models/vehicleRequest.model');
+const ApprovalFlow = require('../models/approvalFlow.model');
+const Vehicle = require('../models/vehicle.model');
+const Driver = require('../models/driver.model');
+const ActivityLog = require('../models/activitylog.model');
+
+// Fields a requester may change after submitting
+const AMENDABLE_FIELDS = ['purpose', 'vehicleType', 'destination', 'destinationDetails',
+                          'durationOfTrip', 'departureDate', 'dateOfReturn'];
+
+const isSameValue = (before, after) => {
+  if (before instanceof Date) return before.getTime() === new Date(after).getTime();
+  return String(before ?? '') === String(after ?? '');
+};
 
 // @desc    Create vehicle request
 // @route   POST /api/vehicle-requests
@@ -14,11 +25,12 @@ exports.createVehicleRequest = async (req, res) => {
       departureDate, dateOfReturn
     } = req.body;
 
-    const vehicleRequest = await VehicleRequest.create({
+    const vehicleRequest = new VehicleRequest({
       requestingOfficer: req.user._id,
       name,
       uniqueId,
       division,
+      region: req.user.region,
       vehicleType,
       purpose,
       destination,
@@ -28,6 +40,10 @@ exports.createVehicleRequest = async (req, res) => {
       dateOfReturn
     });
 
+    const flow = await ApprovalFlow.resolveForRequest(vehicleRequest);
+    vehicleRequest.initializeApprovals(flow);
+    await vehicleRequest.save();
+
     await ActivityLog.createLog({
       user: req.user._id,
       staffName: req.user.name,
@@ -36,7 +52,7 @@ exports.createVehicleRequest = async (req, res) => {
       description: `Created vehicle request ${vehicleRequest.requestId}`,
       resourceType: 'VehicleRequest',
       resourceId: vehicleRequest._id,
-      metadata: { requestId: vehicleRequest.requestId, destination },
+      metadata: { requestId: vehicleRequest.requestId, destination, approvalFlow: flow.key },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
@@ -68,31 +84,29 @@ exports.getVehicleRequests = async (req, res) => {
     const userRole = req.user.isActingAs?.role || req.user.role;
     
     if (userRole === 'Staff' || userRole === 'Uploader') {
-      // Staff can only see their own requests
-      query.requestingOfficer = req.user._id;
-    } else if (userRole === 'Supervisor' || userRole === 'ROM Supervisor') {
-      // Supervisors see requests pending their approval or from their department
+      // Staff see their own requests and any escalated to them as relieving officer
       query.$or = [
-        { 'approvals.supervisor.status': 'pending' },
-        { requestingOfficer: req.user._id }
+        { requestingOfficer: req.user._id },
+        { currentApprovalUsers: req.user._id, overallStatus: 'pending' }
       ];
-    } else if (userRole === 'Corporate Services') {
-      // Corporate sees requests pending their approval (within town only)
+    } else if (userRole === 'Vehicle Officer') {
+      // Vehicle officer sees requests at their stage and all requests needing vehicle assignment
       query.$or = [
-        { 'approvals.corporate.status': 'pending', approvalFlow: 'within_town' },
-        { requestingOfficer: req.user._id }
+        { currentApprovalRoles: userRole, overallStatus: 'pending' },
+        { currentApprovalUsers: req.user._id, overallStatus: 'pending' },
+        { overallStatus: { $in: ['approved', 'dispatched', 'overdue'] } }
       ];
-    } else if (userRole === 'Regional Coordinator') {
-      // Regional Coordinator sees all out of town requests
-      query.approvalFlow = 'out_of_town';
-    } else if (userRole === 'Vehicle Officer') {
-      // Vehicle officer sees all requests needing vehicle assignment
+    } else if (!['ICT Admin', 'Viewer'].includes(userRole)) {
+      // Approvers see requests waiting at a stage for their role,
+      // requests they have acted on and their own requests
       query.$or = [
-        { 'approvals.vehicleOfficer.status': 'pending' },
-        { overallStatus: 'approved' }
+        { currentApprovalRoles: userRole, overallStatus: 'pending' },
+        { currentApprovalUsers: req.user._id, overallStatus: 'pending' },
+        { 'approvals.approvedBy': req.user._id },
+        { requestingOfficer: req.user._id }
       ];
     }
-    // ICT Admin sees all
+    // ICT Admin and Viewer see all
     
     // Additional filters
     if (status) query.overallStatus = status;
@@ -108,10 +122,7 @@ exports.getVehicleRequests = async (req, res) => {
     const [requests, total] = await Promise.all([
       VehicleRequest.find(query)
         .populate('requestingOfficer', 'name staffId email department')
-        .populate('approvals.supervisor.approvedBy', 'name staffId')
-        .populate('approvals.corporate.approvedBy', 'name staffId')
-        .populate('approvals.regionalCoordinator.approvedBy', 'name staffId')
-        .populate('approvals.vehicleOfficer.approvedBy', 'name staffId')
+        .populate('approvals.approvedBy', 'name staffId')
         .sort('-createdAt')
         .skip(skip)
         .limit(parseInt(limit)),
@@ -139,6 +150,43 @@ exports.getVehicleRequests = async (req, res) => {
   }
 };
 
+// @desc    Get overdue trips for the fleet desk
+// @route   GET /api/vehicle-requests/overdue
+// @access  Private (Vehicle Officer, Regional Coordinator, ICT Admin)
+exports.getOverdueVehicleRequests = async (req, res) => {
+  try {
+    const { escalated } = req.query;
+
+    let query = { overallStatus: 'overdue' };
+    if (escalated !== undefined) {
+      query['overdue.escalatedAt'] = { $exists: escalated === 'true' };
+    }
+
+    const requests = await VehicleRequest.find(query)
+      .populate('requestingOfficer', 'name staffId email department')
+      .populate('vehicleAssignment.vehicle', 'plateNumber make model vehicleType')
+      .populate('vehicleAssignment.driver', 'name phone')
+      .sort('vehicleAssignment.expectedReturn');
+
+    const now = Date.now();
+    const overdue = requests.map(request => ({
+      ...request.toObject(),
+      hoursOverdue: Math.floor((now - request.vehicleAssignment.expectedReturn) / (60 * 60 * 1000))
+    }));
+
+    res.json({
+      success: true,
+      data: { requests: overdue, total: overdue.length }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error fetching overdue vehicle requests', 
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Get single vehicle request
 // @route   GET /api/vehicle-requests/:id
 // @access  Private
@@ -146,11 +194,10 @@ exports.getVehicleRequest = async (req, res) => {
   try {
     const request = await VehicleRequest.findById(req.params.id)
       .populate('requestingOfficer', 'name staffId email department')
-      .populate('approvals.supervisor.approvedBy', 'name staffId')
-      .populate('approvals.corporate.approvedBy', 'name staffId')
-      .populate('approvals.regionalCoordinator.approvedBy', 'name staffId')
-      .populate('approvals.vehicleOfficer.approvedBy', 'name staffId')
-      .populate('declinedBy.user', 'name staffId');
+      .populate('approvals.approvedBy', 'name staffId')
+      .populate('declinedBy.user', 'name staffId')
+      .populate('vehicleAssignment.vehicle', 'plateNumber make model vehicleType')
+      .populate('vehicleAssignment.driver', 'name phone licenceClass');
 
     if (!request) {
       return res.status(404).json({ 
@@ -188,35 +235,18 @@ exports.approveVehicleRequest = async (req, res) => {
     }
 
     const userRole = req.user.isActingAs?.role || req.user.role;
-    let approvalField = null;
-
-    // Determine which approval field to update
-    if (request.currentApprovalStage === 'supervisor' && 
-        (userRole === 'Supervisor' || userRole === 'ROM Supervisor')) {
-      approvalField = 'supervisor';
-    } else if (request.currentApprovalStage === 'corporate' && 
-               userRole === 'Corporate Services') {
-      approvalField = 'corporate';
-    } else if (request.currentApprovalStage === 'regional_coordinator' && 
-               userRole === 'Regional Coordinator') {
-      approvalField = 'regionalCoordinator';
-    } else if (request.currentApprovalStage === 'vehicle_officer' && 
-               userRole === 'Vehicle Officer') {
-      approvalField = 'vehicleOfficer';
-    } else {
+
+    if (!request.canBeApprovedBy(userRole, req.user._id)) {
       return res.status(403).json({ 
         success: false, 
         message: 'You do not have permission to approve at this stage' 
       });
     }
 
-    // Update approval
-    request.approvals[approvalField].status = 'approved';
-    request.approvals[approvalField].approvedBy = req.user._id;
-    request.approvals[approvalField].approvedAt = new Date();
-    request.approvals[approvalField].comments = comments;
+    // Update approval for the current stage
+    const approval = request.recordDecision(req.user._id, 'approved', comments);
 
-    // Move to next stage
+    // Move to next stage defined by the request's approval flow
     request.moveToNextStage();
 
     await request.save();
@@ -227,12 +257,12 @@ exports.approveVehicleRequest = async (req, res) => {
       staffName: req.user.name,
       role: userRole,
       action: 'approved_vehicle_request',
-      description: `Approved vehicle request ${request.requestId} as ${approvalField}`,
+      description: `Approved vehicle request ${request.requestId} at ${approval.name} stage`,
       resourceType: 'VehicleRequest',
       resourceId: request._id,
       metadata: { 
         requestId: request.requestId, 
-        approvalStage: approvalField,
+        approvalStage: approval.stage,
         destination: request.destination 
       },
       ipAddress: req.ip,
@@ -287,7 +317,17 @@ exports.declineVehicleRequest = async (req, res) => {
 
     const userRole = req.user.isActingAs?.role || req.user.role;
 
+    if (!request.canBeApprovedBy(userRole, req.user._id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to decline at this stage' 
+      });
+    }
+
     // Update status
+    const approval = request.recordDecision(req.user._id, 'declined', reason);
+
+    request.setCurrentStage(null);
     request.overallStatus = 'declined';
     request.declinedBy = {
       user: req.user._id,
@@ -307,7 +347,7 @@ exports.declineVehicleRequest = async (req, res) => {
       description: `Declined vehicle request ${request.requestId}`,
       resourceType: 'VehicleRequest',
       resourceId: request._id,
-      metadata: { requestId: request.requestId, reason },
+      metadata: { requestId: request.requestId, approvalStage: approval.stage, reason },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
@@ -335,15 +375,223 @@ exports.declineVehicleRequest = async (req, res) => {
   }
 };
 
+// @desc    Cancel own vehicle request
+// @route   PUT /api/vehicle-requests/:id/cancel
+// @access  Private (Requesting officer)
+exports.cancelVehicleRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const request = await VehicleRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Vehicle request not found' 
+      });
+    }
+
+    if (!request.requestingOfficer.equals(req.user._id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the requesting officer can cancel this request' 
+      });
+    }
+
+    const cancellable = ['pending', 'approved', ...VehicleRequest.ACTIVE_TRIP_STATUSES];
+    if (!cancellable.includes(request.overallStatus)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `A ${request.overallStatus} request cannot be cancelled` 
+      });
+    }
+
+    const previousStatus = request.overallStatus;
+    request.cancellation = {
+      cancelledBy: req.user._id,
+      reason,
+      previousStatus,
+      cancelledAt: new Date()
+    };
+    request.overallStatus = 'cancelled';
+    request.setCurrentStage(null);
+
+    // Let everyone who already acted on the request know
+    const approvers = request.approvals
+      .filter(approval => approval.approvedBy)
+      .map(approval => approval.approvedBy);
+    request.notify(
+      approvers,
+      `Vehicle request ${request.requestId} has been cancelled by the requester${reason ? `. Reason: ${reason}` : ''}`,
+      'cancelled'
+    );
+
+    await request.save();
+
+    if (VehicleRequest.ACTIVE_TRIP_STATUSES.includes(previousStatus)) {
+      await request.releaseAssignment(req.user._id);
+    }
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'cancelled_vehicle_request',
+      description: `Cancelled vehicle request ${request.requestId}`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: { 
+        requestId: request.requestId, 
+        previousStatus, 
+        reason,
+        vehicleNumber: request.vehicleAssignment?.assignedVehicleNumber
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Vehicle request cancelled',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error cancelling vehicle request', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Amend own vehicle request (re-approval where needed)
+// @route   PUT /api/vehicle-requests/:id/amend
+// @access  Private (Requesting officer)
+exports.amendVehicleRequest = async (req, res) => {
+  try {
+    const { comments } = req.body;
+    const request = await VehicleRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Vehicle request not found' 
+      });
+    }
+
+    if (!request.requestingOfficer.equals(req.user._id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the requesting officer can amend this request' 
+      });
+    }
+
+    if (!['pending', 'approved'].includes(request.overallStatus)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `A ${request.overallStatus} request cannot be amended` 
+      });
+    }
+
+    const changes = [];
+    AMENDABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && !isSameValue(request[field], req.body[field])) {
+        changes.push({ field, before: request[field], after: req.body[field] });
+        request[field] = req.body[field];
+      }
+    });
+
+    if (!changes.length) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No changes to amend' 
+      });
+    }
+
+    if (request.dateOfReturn < request.departureDate) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Date of return cannot be before the departure date' 
+      });
+    }
+
+    // Reset approvals the change invalidates. If the change routes the
+    // request through a different flow, start over on the new flow.
+    let resetStages = [];
+    const previousFlow = request.approvalFlow?.key;
+    const changedFields = changes.map(change => change.field);
+    const approvers = new Map(request.approvals
+      .filter(approval => approval.status === 'approved')
+      .map(approval => [approval.stage, approval.approvedBy]));
+
+    if (changedFields.some(field => VehicleRequest.REAPPROVAL_FIELDS.includes(field))) {
+      const flow = await ApprovalFlow.resolveForRequest(request);
+      if (flow.key !== previousFlow) {
+        resetStages = request.approvals
+          .filter(approval => approval.status === 'approved')
+          .map(approval => approval.stage);
+        request.initializeApprovals(flow);
+      } else {
+        resetStages = request.resetApprovedStages(changedFields);
+      }
+    }
+
+    request.revisions.push({
+      revisedBy: req.user._id,
+      changes,
+      resetStages,
+      previousFlow: request.approvalFlow?.key !== previousFlow ? previousFlow : undefined,
+      comments
+    });
+
+    if (resetStages.length) {
+      request.notify(
+        resetStages.map(stage => approvers.get(stage)).filter(Boolean),
+        `Vehicle request ${request.requestId} was amended and needs your approval again`,
+        'amended'
+      );
+    }
+
+    await request.save();
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'amended_vehicle_request',
+      description: `Amended vehicle request ${request.requestId}`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: { 
+        requestId: request.requestId, 
+        changedFields,
+        resetStages
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: resetStages.length
+        ? 'Vehicle request amended and sent back for re-approval'
+        : 'Vehicle request amended',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error amending vehicle request', 
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Assign driver and vehicle (Vehicle Officer only)
 // @route   PUT /api/vehicle-requests/:id/assign
 // @access  Private (Vehicle Officer)
 exports.assignVehicle = async (req, res) => {
   try {
-    const {
-      driverName, driverId, assignedVehicleType, 
-      assignedVehicleNumber, expectedReturn, urgentDispatch
-    } = req.body;
+    const { driverId, vehicleId, expectedReturn, urgentDispatch } = req.body;
 
     const request = await VehicleRequest.findById(req.params.id);
 
@@ -354,41 +602,179 @@ exports.assignVehicle = async (req, res) => {
       });
     }
 
-    if (!request.areAllApprovalsComplete()) {
+    if (!request.areAllApprovalsComplete() || request.overallStatus !== 'approved') {
       return res.status(400).json({ 
         success: false, 
         message: 'Request must be fully approved before assignment' 
       });
     }
 
-    // Assign vehicle
-    request.vehicleAssignment = {
-      driverName,
-      driverId,
-      assignedVehicleType,
-      assignedVehicleNumber,
-      dispatchTime: new Date(),
-      expectedReturn: expectedReturn || request.dateOfReturn,
-      urgentDispatch: urgentDispatch || false
-    };
+    if (!vehicleId || !driverId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please select a vehicle and a driver from the fleet registry' 
+      });
+    }
+
+    if (expectedReturn && isNaN(new Date(expectedReturn))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'expectedReturn must be a valid date' 
+      });
+    }
 
-    request.overallStatus = 'dispatched';
+    // The trip holds its vehicle and driver until the later of the
+    // planned and expected return
+    const tripEnd = new Date(Math.max(request.dateOfReturn, new Date(expectedReturn || request.dateOfReturn)));
 
-    // Send urgent dispatch alert if needed
-    if (urgentDispatch) {
-      request.vehicleAssignment.dispatchAlert = {
-        sent: true,
-        sentAt: new Date()
-      };
-      
-      request.notifications.push({
-        recipient: request.requestingOfficer,
-        message: `URGENT: Your vehicle is on its way! Driver: ${driverName}`,
-        type: 'dispatched'
+    if (!(await Vehicle.exists({ _id: vehicleId }))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Vehicle not found' 
       });
     }
 
-    await request.save();
+    // Hold the vehicle and driver until the dispatch is saved, so a
+    // concurrent assignment cannot pass the same overlap checks
+    const vehicle = await Vehicle.claimForDispatch(vehicleId, request._id);
+
+    if (!vehicle) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'The vehicle is being assigned to another request, please try again' 
+      });
+    }
+
+    let driver;
+    try {
+      if (!vehicle.isAssignable()) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Vehicle ${vehicle.plateNumber} is ${vehicle.status.replace('_', ' ')} and cannot be assigned` 
+        });
+      }
+
+      // Reject vehicles already dispatched for an overlapping trip window
+      const conflicts = await VehicleRequest.findOverlappingTrips(
+        { 'vehicleAssignment.vehicle': vehicle._id },
+        request.departureDate,
+        tripEnd,
+        request._id
+      );
+
+      if (conflicts.length) {
+        return res.status(409).json({ 
+          success: false, 
+          message: `Vehicle ${vehicle.plateNumber} is already dispatched for an overlapping trip`,
+          data: { conflicts }
+        });
+      }
+
+      if (!(await Driver.exists({ _id: driverId }))) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Driver not found' 
+        });
+      }
+
+      driver = await Driver.claimForDispatch(driverId, request._id);
+
+      if (!driver) {
+        return res.status(409).json({ 
+          success: false, 
+          message: 'The driver is being assigned to another request, please try again' 
+        });
+      }
+
+      if (!driver.isSchedulable()) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Driver ${driver.name} is ${driver.dutyStatus.replace('_', ' ')} and cannot be assigned` 
+        });
+      }
+
+      if (!driver.isLicenceValidUntil(tripEnd)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Driver ${driver.name}'s licence expires before the trip ends` 
+        });
+      }
+
+      if (!driver.canDrive(vehicle.vehicleType)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Driver ${driver.name}'s class ${driver.licenceClass} licence does not cover a ${vehicle.vehicleType}` 
+        });
+      }
+
+      // Reject drivers already on an overlapping trip
+      const driverConflicts = await VehicleRequest.findOverlappingTrips(
+        { 'vehicleAssignment.driver': driver._id },
+        request.departureDate,
+        tripEnd,
+        request._id
+      );
+
+      if (driverConflicts.length) {
+        return res.status(409).json({ 
+          success: false, 
+          message: `Driver ${driver.name} is already on an overlapping trip`,
+          data: { conflicts: driverConflicts }
+        });
+      }
+
+      // Assign vehicle
+      request.vehicleAssignment = {
+        vehicle: vehicle._id,
+        driver: driver._id,
+        driverName: driver.name,
+        driverId: driver.staffId || driver.licenceNumber,
+        assignedVehicleType: vehicle.vehicleType,
+        assignedVehicleNumber: vehicle.plateNumber,
+        dispatchTime: new Date(),
+        expectedReturn: expectedReturn || request.dateOfReturn,
+        urgentDispatch: urgentDispatch || false
+      };
+
+      request.overallStatus = 'dispatched';
+
+      // Send urgent dispatch alert if needed
+      if (urgentDispatch) {
+        request.vehicleAssignment.dispatchAlert = {
+          sent: true,
+          sentAt: new Date()
+        };
+        
+        request.notifications.push({
+          recipient: request.requestingOfficer,
+          message: `URGENT: Your vehicle is on its way! Driver: ${driver.name}`,
+          type: 'dispatched'
+        });
+      }
+
+      // Only dispatch a request that is still approved
+      request.$where = { overallStatus: 'approved' };
+      try {
+        await request.save();
+      } catch (error) {
+        if (error.name !== 'DocumentNotFoundError') throw error;
+        return res.status(409).json({ 
+          success: false, 
+          message: 'This request has already been dispatched' 
+        });
+      }
+
+      vehicle.status = 'on_trip';
+      vehicle.lastModifiedBy = req.user._id;
+      await vehicle.save();
+
+      driver.dutyStatus = 'on_trip';
+      driver.lastModifiedBy = req.user._id;
+      await driver.save();
+    } finally {
+      await Vehicle.releaseDispatchClaim(vehicle._id, request._id).catch(() => {});
+      if (driver) await Driver.releaseDispatchClaim(driver._id, request._id).catch(() => {});
+    }
 
     // Log activity
     await ActivityLog.createLog({
@@ -401,8 +787,8 @@ exports.assignVehicle = async (req, res) => {
       resourceId: request._id,
       metadata: { 
         requestId: request.requestId, 
-        driverName, 
-        vehicleNumber: assignedVehicleNumber 
+        driverName: driver.name, 
+        vehicleNumber: vehicle.plateNumber 
       },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
@@ -422,6 +808,99 @@ exports.assignVehicle = async (req, res) => {
   }
 };
 
+// @desc    Check in returned vehicle and complete the trip (Vehicle Officer only)
+// @route   PUT /api/vehicle-requests/:id/return
+// @access  Private (Vehicle Officer)
+exports.returnVehicle = async (req, res) => {
+  try {
+    const {
+      returnedAt, odometerStart, odometerEnd,
+      fuelUsed, vehicleCondition, incidentNotes
+    } = req.body;
+
+    const request = await VehicleRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Vehicle request not found' 
+      });
+    }
+
+    if (!VehicleRequest.ACTIVE_TRIP_STATUSES.includes(request.overallStatus)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only dispatched trips can be checked in' 
+      });
+    }
+
+    if (odometerStart === undefined || odometerEnd === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide the odometer readings at start and end of the trip' 
+      });
+    }
+
+    if (Number(odometerEnd) < Number(odometerStart)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Odometer end reading cannot be less than the start reading' 
+      });
+    }
+
+    request.tripCompletion = {
+      returnedAt: returnedAt || new Date(),
+      odometerStart,
+      odometerEnd,
+      distanceCovered: Number(odometerEnd) - Number(odometerStart),
+      fuelUsed,
+      vehicleCondition: vehicleCondition || 'good',
+      incidentNotes,
+      checkedInBy: req.user._id
+    };
+    request.overallStatus = 'completed';
+
+    await request.save();
+
+    // Damaged vehicles go to maintenance instead of back into the pool
+    const vehicleStatus = ['damaged', 'needs_service'].includes(request.tripCompletion.vehicleCondition)
+      ? 'under_maintenance'
+      : 'available';
+    await request.releaseAssignment(req.user._id, { vehicleStatus });
+
+    await ActivityLog.createLog({
+      user: req.user._id,
+      staffName: req.user.name,
+      role: req.user.role,
+      action: 'completed_vehicle_trip',
+      description: `Checked in vehicle for request ${request.requestId}`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: { 
+        requestId: request.requestId, 
+        vehicleNumber: request.vehicleAssignment?.assignedVehicleNumber,
+        distanceCovered: request.tripCompletion.distanceCovered,
+        fuelUsed,
+        vehicleCondition: request.tripCompletion.vehicleCondition
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Vehicle checked in and trip completed',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error checking in vehicle', 
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/vehicle-requests/stats/dashboard
 // @access  Private
@@ -430,6 +909,14 @@ exports.getDashboardStats = async (req, res) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
+    // Stages decided late, or still pending past their due time
+    const slaBreachMatch = {
+      $or: [
+        { 'approvals.slaBreached': true },
+        { overallStatus: 'pending', 'approvals.status': 'pending', 'approvals.dueAt': { $lt: new Date() } }
+      ]
+    };
+
     const stats = await VehicleRequest.aggregate([
       {
         $facet: {
@@ -442,6 +929,35 @@ exports.getDashboardStats = async (req, res) => {
           ],
           byDestination: [
             { $group: { _id: '$destination', count: { $sum: 1 } } }
+          ],
+          slaBreachesByStage: [
+            { $unwind: '$approvals' },
+            { $match: slaBreachMatch },
+            { $group: {
+              _id: '$approvals.stage',
+              breaches: { $sum: 1 },
+              stillPending: { $sum: { $cond: [{ $eq: ['$approvals.status', 'pending'] }, 1, 0] } },
+              escalated: { $sum: { $cond: [{ $ifNull: ['$approvals.escalatedAt', false] }, 1, 0] } }
+            } },
+            { $sort: { breaches: -1 } }
+          ],
+          slaBreachesByApprover: [
+            { $unwind: '$approvals' },
+            { $match: { 'approvals.slaBreached': true, 'approvals.approvedBy': { $exists: true } } },
+            { $group: {
+              _id: '$approvals.approvedBy',
+              breaches: { $sum: 1 },
+              avgHoursLate: { $avg: { $divide: [{ $subtract: ['$approvals.approvedAt', '$approvals.dueAt'] }, 3600000] } }
+            } },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'approver' } },
+            { $unwind: { path: '$approver', preserveNullAndEmptyArrays: true } },
+            { $project: {
+              breaches: 1,
+              avgHoursLate: { $round: ['$avgHoursLate', 1] },
+              name: '$approver.name',
+              staffId: '$approver.staffId'
+            } },
+            { $sort: { breaches: -1 } }
           ]
         }
       }
@@ -0,0 +1,136 @@
+// jobs/approvalSla.job.js
+const VehicleRequest = require('../models/vehicleRequest.model');
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
+
+const HOUR = 60 * 60 * 1000;
+
+exports.name = 'approval-sla';
+exports.intervalMs = (Number(process.env.APPROVAL_SLA_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+const findUsersWithRoles = async (roles) => {
+  const users = await Promise.all(roles.map(role => User.findActiveByRole(role)));
+  return users.flat();
+};
+
+// Remind pending approvers once a stage passes its SLA
+const sendReminders = async (now) => {
+  const requests = await VehicleRequest.find({
+    overallStatus: 'pending',
+    approvals: {
+      $elemMatch: { status: 'pending', dueAt: { $lt: now }, reminderSentAt: { $exists: false } }
+    }
+  });
+
+  let reminded = 0;
+  for (const request of requests) {
+    const approval = request.getCurrentApproval();
+    if (!approval || approval.reminderSentAt || !(approval.dueAt < now)) continue;
+
+    const approvers = await findUsersWithRoles(approval.roles);
+    const recipients = [...approvers.map(user => user._id), ...(approval.escalatedUsers || [])];
+
+    approval.reminderSentAt = now;
+    approval.slaBreached = true;
+    request.escalations.push({
+      stage: approval.stage,
+      type: 'reminder',
+      toRoles: approval.roles,
+      toUsers: recipients,
+      reason: `${approval.name} approval exceeded its ${approval.slaHours}h SLA`
+    });
+    request.notify(
+      recipients,
+      `REMINDER: Vehicle request ${request.requestId} has been waiting for ${approval.name} approval for more than ${approval.slaHours}h`,
+      'sla_reminder'
+    );
+    await request.save();
+    reminded++;
+
+    await ActivityLog.createLog({
+      staffName: 'System',
+      role: 'System',
+      action: 'approval_sla_reminder',
+      description: `Sent SLA reminder for vehicle request ${request.requestId} at ${approval.name} stage`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: { requestId: request.requestId, approvalStage: approval.stage, dueAt: approval.dueAt }
+    });
+  }
+
+  return reminded;
+};
+
+// Escalate stages still pending past their escalation threshold: to the
+// active relieving officers of the stage's approvers if there are any,
+// otherwise to the stage's escalation roles
+const escalateStages = async (now) => {
+  const requests = await VehicleRequest.find({
+    overallStatus: 'pending',
+    approvals: {
+      $elemMatch: { status: 'pending', startedAt: { $exists: true }, escalatedAt: { $exists: false } }
+    }
+  });
+
+  let escalated = 0;
+  for (const request of requests) {
+    const approval = request.getCurrentApproval();
+    if (!approval || approval.escalatedAt || !approval.startedAt) continue;
+    if (approval.startedAt.getTime() + approval.escalateAfterHours * HOUR > now.getTime()) continue;
+
+    const relieved = await User.find({
+      isActive: true,
+      role: { $in: approval.roles },
+      'relievingOfficer.status': 'active',
+      'relievingOfficer.officer': { $exists: true }
+    }).select('relievingOfficer');
+    const relievingOfficers = relieved.map(user => user.relievingOfficer.officer);
+
+    let target;
+    if (relievingOfficers.length) {
+      target = { roles: [], users: relievingOfficers };
+    } else {
+      const roles = request.getEscalationRoles();
+      const users = await findUsersWithRoles(roles);
+      target = { roles, users: [], recipients: users.map(user => user._id) };
+    }
+
+    request.escalateCurrentStage({
+      roles: target.roles,
+      users: target.users,
+      reason: `${approval.name} approval pending for more than ${approval.escalateAfterHours}h`
+    });
+    request.notify(
+      target.recipients || target.users,
+      `ESCALATION: Vehicle request ${request.requestId} has been escalated to you for ${approval.name} approval`,
+      'sla_escalation'
+    );
+    await request.save();
+    escalated++;
+
+    await ActivityLog.createLog({
+      staffName: 'System',
+      role: 'System',
+      action: 'escalated_vehicle_request',
+      description: `Escalated vehicle request ${request.requestId} at ${approval.name} stage`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: {
+        requestId: request.requestId,
+        approvalStage: approval.stage,
+        escalatedRoles: target.roles,
+        escalatedUsers: target.users
+      }
+    });
+  }
+
+  return escalated;
+};
+
+exports.run = async (now = new Date()) => {
+  const reminded = await sendReminders(now);
+  const escalated = await escalateStages(now);
+  return { reminded, escalated };
+};
+
+module.exports = exports;
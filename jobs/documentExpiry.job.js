@@ -0,0 +1,77 @@
+// jobs/documentExpiry.job.js
+const Facility = require('../models/facility.model');
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+exports.name = 'document-expiry';
+exports.intervalMs = (Number(process.env.DOCUMENT_EXPIRY_CHECK_INTERVAL_MINUTES) || 360) * 60 * 1000;
+
+const describe = (doc) => doc.category ? `${doc.filename} (${doc.category})` : doc.filename;
+
+// Remind ROM Supervisors, preferring those of the facility's region, and
+// whoever uploaded the document as licences and certificates near expiry
+exports.run = async (now = new Date()) => {
+  const leadTimes = Facility.EXPIRY_REMINDER_DAYS;
+  const horizon = new Date(now.getTime() + (leadTimes[0] || 0) * DAY);
+
+  const facilities = await Facility.find({ 'takenOverBy.documents.expiresAt': { $lte: horizon } });
+  if (!facilities.length) return { reminded: 0 };
+
+  const supervisors = await User.findActiveByRole('ROM Supervisor');
+
+  let reminded = 0;
+  for (const facility of facilities) {
+    const regional = supervisors.filter(user => facility.region && user.region === facility.region);
+    const sent = [];
+
+    facility.takenOverBy.documents.forEach(doc => {
+      const leadTime = doc.claimExpiryReminder(now, leadTimes);
+      if (leadTime === null) return;
+
+      const recipients = [...(regional.length ? regional : supervisors)];
+      if (doc.uploadedBy && !recipients.some(user => user._id.equals(doc.uploadedBy))) {
+        recipients.push(doc.uploadedBy);
+      }
+
+      const expiry = doc.expiresAt.toISOString().slice(0, 10);
+      facility.notify(
+        recipients,
+        leadTime === 0
+          ? `EXPIRED: ${describe(doc)} at ${facility.name} expired on ${expiry}`
+          : `REMINDER: ${describe(doc)} at ${facility.name} expires on ${expiry} (${doc.daysToExpiry(now)} days)`,
+        leadTime === 0 ? 'document_expired' : 'document_expiry'
+      );
+      sent.push({ doc, leadTime });
+    });
+
+    if (!sent.length) continue;
+    await facility.save();
+    reminded += sent.length;
+
+    for (const { doc, leadTime } of sent) {
+      await ActivityLog.createLog({
+        staffName: 'System',
+        role: 'System',
+        action: 'document_expiry_reminder',
+        description: leadTime === 0
+          ? `Sent expiry notice for ${describe(doc)} at facility: ${facility.name}`
+          : `Sent ${leadTime}-day expiry reminder for ${describe(doc)} at facility: ${facility.name}`,
+        resourceType: 'Facility',
+        resourceId: facility._id,
+        metadata: {
+          facilityName: facility.name,
+          documentId: doc._id,
+          category: doc.category,
+          expiresAt: doc.expiresAt,
+          leadTimeDays: leadTime
+        }
+      });
+    }
+  }
+
+  return { reminded };
+};
+
+module.exports = exports;
@@ -0,0 +1,95 @@
+// jobs/facilityPurge.job.js
+const Facility = require('../models/facility.model');
+const FacilityHistory = require('../models/facilityHistory.model');
+const OutletReading = require('../models/outletReading.model');
+const PriceObservation = require('../models/priceObservation.model');
+const TakeoverCase = require('../models/takeoverCase.model');
+const Inspection = require('../models/inspection.model');
+const InspectionSchedule = require('../models/inspectionSchedule.model');
+const Counter = require('../models/counter.model');
+const ActivityLog = require('../models/activitylog.model');
+const { getStorage } = require('../utils/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+exports.name = 'facility-purge';
+exports.intervalMs = (Number(process.env.FACILITY_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Every stored file of a facility, across all document versions, and of
+// its takeover cases and inspection photos
+const storedFiles = (facility, takeoverCases, inspections) => {
+  const files = new Set();
+  (facility.takenOverBy?.documents || []).forEach(doc => {
+    [doc, ...(doc.versions || [])].forEach(file => {
+      if (file.storageKey) files.add(file.storageKey);
+    });
+  });
+  takeoverCases.forEach(takeoverCase => {
+    takeoverCase.documents.forEach(doc => {
+      if (doc.storageKey) files.add(doc.storageKey);
+    });
+  });
+  inspections.forEach(inspection => {
+    inspection.answers.forEach(answer => {
+      if (answer.photo?.storageKey) files.add(answer.photo.storageKey);
+    });
+  });
+  return Array.from(files);
+};
+
+// Permanently delete facilities that have been in the recycle bin longer
+// than the retention period, with their files, readings, takeover cases,
+// inspections and history
+exports.run = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - Facility.RETENTION_DAYS * DAY);
+  const facilities = await Facility.find({ deletedAt: { $lte: cutoff } });
+  if (!facilities.length) return { purged: 0 };
+
+  const storage = getStorage();
+
+  for (const facility of facilities) {
+    const takeoverCases = await TakeoverCase.find({ facility: facility._id }).select('documents');
+    const inspections = await Inspection.find({ facility: facility._id }).select('answers.photo.storageKey');
+    const keys = storedFiles(facility, takeoverCases, inspections);
+    for (const key of keys) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Error removing stored file ${key}:`, error.message);
+      }
+    }
+
+    await Promise.all([
+      OutletReading.deleteMany({ facility: facility._id }),
+      PriceObservation.deleteMany({ facility: facility._id }),
+      TakeoverCase.deleteMany({ facility: facility._id }),
+      Inspection.deleteMany({ facility: facility._id }),
+      InspectionSchedule.deleteMany({ facility: facility._id }),
+      FacilityHistory.deleteMany({ facility: facility._id }),
+      Counter.deleteOne({ _id: `facility-history-${facility._id}` })
+    ]);
+    await facility.deleteOne();
+
+    await ActivityLog.createLog({
+      staffName: 'System',
+      role: 'System',
+      action: 'purged_facility',
+      description: `Permanently deleted facility ${facility.name} after ${Facility.RETENTION_DAYS} days in the recycle bin`,
+      resourceType: 'Facility',
+      resourceId: facility._id,
+      metadata: {
+        facilityName: facility.name,
+        serialNo: facility.serialNo,
+        deletedAt: facility.deletedAt,
+        deletedBy: facility.deletedBy,
+        filesRemoved: keys.length,
+        takeoverCasesRemoved: takeoverCases.length,
+        inspectionsRemoved: inspections.length
+      }
+    });
+  }
+
+  return { purged: facilities.length };
+};
+
+module.exports = exports;
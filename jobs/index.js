@@ -0,0 +1,15 @@
+// jobs/index.js
+const scheduler = require('../utils/scheduler');
+const overdueTripsJob = require('./overdueTrips.job');
+const approvalSlaJob = require('./approvalSla.job');
+const facilityPurgeJob = require('./facilityPurge.job');
+const documentExpiryJob = require('./documentExpiry.job');
+
+// Register every background job with the scheduler
+exports.registerJobs = () => {
+  [overdueTripsJob, approvalSlaJob, facilityPurgeJob, documentExpiryJob].forEach(job => {
+    scheduler.register(job.name, job.intervalMs, job.run);
+  });
+};
+
+module.exports = exports;
@@ -0,0 +1,105 @@
+// jobs/overdueTrips.job.js
+const VehicleRequest = require('../models/vehicleRequest.model');
+const User = require('../models/user.model');
+const ActivityLog = require('../models/activitylog.model');
+
+const HOUR = 60 * 60 * 1000;
+
+exports.name = 'overdue-trips';
+exports.intervalMs = (Number(process.env.OVERDUE_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+// Hours after expectedReturn before an overdue trip goes to the Regional Coordinator
+const getGraceHours = () => Number(process.env.OVERDUE_ESCALATION_GRACE_HOURS) || 24;
+
+// Flag dispatched trips past their expected return and notify the
+// Vehicle Officers and the requesting officer
+const flagOverdueTrips = async (now) => {
+  const requests = await VehicleRequest.find({
+    overallStatus: 'dispatched',
+    'vehicleAssignment.expectedReturn': { $lt: now }
+  });
+  if (!requests.length) return 0;
+
+  const vehicleOfficers = await User.findActiveByRole('Vehicle Officer');
+
+  for (const request of requests) {
+    const { assignedVehicleNumber, driverName, expectedReturn } = request.vehicleAssignment;
+
+    request.overallStatus = 'overdue';
+    request.overdue = { flaggedAt: now };
+    request.notify(
+      vehicleOfficers,
+      `Vehicle ${assignedVehicleNumber} (driver: ${driverName}) for request ${request.requestId} is overdue. Expected back ${expectedReturn.toISOString()}`,
+      'overdue'
+    );
+    request.notify(
+      request.requestingOfficer,
+      `Your trip ${request.requestId} is past its expected return. Please contact the Vehicle Officer`,
+      'overdue'
+    );
+    await request.save();
+
+    await ActivityLog.createLog({
+      staffName: 'System',
+      role: 'System',
+      action: 'flagged_overdue_trip',
+      description: `Flagged vehicle request ${request.requestId} as overdue`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: { requestId: request.requestId, vehicleNumber: assignedVehicleNumber, expectedReturn }
+    });
+  }
+
+  return requests.length;
+};
+
+// Escalate overdue trips still out after the grace period
+const escalateOverdueTrips = async (now) => {
+  const cutoff = new Date(now.getTime() - getGraceHours() * HOUR);
+  const requests = await VehicleRequest.find({
+    overallStatus: 'overdue',
+    'overdue.escalatedAt': { $exists: false },
+    'vehicleAssignment.expectedReturn': { $lt: cutoff }
+  });
+  if (!requests.length) return 0;
+
+  const coordinators = await User.findActiveByRole('Regional Coordinator');
+
+  for (const request of requests) {
+    const { assignedVehicleNumber, expectedReturn } = request.vehicleAssignment;
+
+    request.overdue.escalatedAt = now;
+    request.overdue.escalatedTo = coordinators.map(user => user._id);
+    request.notify(
+      coordinators,
+      `ESCALATION: Vehicle ${assignedVehicleNumber} for request ${request.requestId} is still out more than ${getGraceHours()}h after its expected return`,
+      'overdue_escalation'
+    );
+    await request.save();
+
+    await ActivityLog.createLog({
+      staffName: 'System',
+      role: 'System',
+      action: 'escalated_overdue_trip',
+      description: `Escalated overdue vehicle request ${request.requestId} to Regional Coordinator`,
+      resourceType: 'VehicleRequest',
+      resourceId: request._id,
+      metadata: {
+        requestId: request.requestId,
+        vehicleNumber: assignedVehicleNumber,
+        expectedReturn,
+        escalatedTo: request.overdue.escalatedTo
+      }
+    });
+  }
+
+  return requests.length;
+};
+
+exports.run = async (now = new Date()) => {
+  const flagged = await flagOverdueTrips(now);
+  const escalated = await escalateOverdueTrips(now);
+  return { flagged, escalated };
+};
+
+module.exports = exports;
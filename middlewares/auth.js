@@ -1,6 +1,6 @@
-// middleware/auth.js
+// middlewares/auth.js
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const User = require('../models/user.model');
 
 exports.protect = async (req, res, next) => {
   try {
@@ -20,6 +20,10 @@ exports.protect = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Invalid token or inactive user' });
     }
 
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ success: false, message: 'Password was changed, please log in again' });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({ success: false, message: 'Invalid token' });
@@ -36,4 +40,25 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Allow users holding one of the roles or belonging to one of the departments
+exports.authorizeAny = ({ roles = [], departments = [] }) => {
+  return (req, res, next) => {
+    const userRole = req.user.isActingAs?.role || req.user.role;
+    if (!roles.includes(userRole) && !departments.includes(req.user.department)) {
+      return res.status(403).json({ success: false, message: 'Not authorized for this role' });
+    }
+    next();
+  };
+};
+
+// Allow users whose role (or acting role) has a permission
+exports.requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,61 @@
+// middlewares/upload.js
+const multer = require('multer');
+
+const MAX_FILE_SIZE = (Number(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
+
+const ALLOWED_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Spreadsheets accepted for bulk imports. Browsers on Windows often send
+// CSV files as application/vnd.ms-excel.
+const SPREADSHEET_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Files are kept in memory so they can be checksummed before they are stored
+const createUpload = (allowedTypes) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const upload = createUpload(ALLOWED_TYPES);
+const spreadsheetUpload = createUpload(SPREADSHEET_TYPES);
+
+// Accept up to maxCount files on a field, answering upload errors as JSON
+exports.uploadFiles = (field, maxCount = 10, { spreadsheets = false } = {}) => {
+  return (req, res, next) => {
+    (spreadsheets ? spreadsheetUpload : upload).array(field, maxCount)(req, res, (err) => {
+      if (!err) return next();
+
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${MAX_FILE_SIZE / (1024 * 1024)}MB limit`
+        : err.message;
+      return res.status(status).json({ success: false, message });
+    });
+  };
+};
+
+exports.ALLOWED_TYPES = ALLOWED_TYPES;
+exports.SPREADSHEET_TYPES = SPREADSHEET_TYPES;
+exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+module.exports = exports;
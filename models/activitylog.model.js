@@ -5,7 +5,8 @@ const activityLogSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Scheduled jobs log as the System role without a user
+    required: function() { return this.role !== 'System'; }
   },
   staffName: {
     type: String,
@@ -24,16 +25,60 @@ const activityLogSchema = new mongoose.Schema({
       'password_reset',
       'uploaded_general_file',
       'uploaded_takeover_file',
+      'opened_takeover_case',
+      'submitted_takeover_case',
+      'approved_takeover_case',
+      'declined_takeover_case',
+      'cancelled_takeover_case',
       'created_vehicle_request',
       'approved_vehicle_request',
       'declined_vehicle_request',
+      'cancelled_vehicle_request',
+      'amended_vehicle_request',
+      'approval_sla_reminder',
+      'escalated_vehicle_request',
       'dispatched_vehicle',
+      'completed_vehicle_trip',
+      'flagged_overdue_trip',
+      'escalated_overdue_trip',
+      'added_vehicle',
+      'edited_vehicle',
+      'deleted_vehicle',
+      'added_driver',
+      'edited_driver',
+      'deleted_driver',
       'created_item_request',
       'approved_item_request',
       'declined_item_request',
+      'fulfilled_item_request',
+      'added_stock_item',
+      'edited_stock_item',
+      'received_stock',
+      'adjusted_stock',
       'added_facility',
       'edited_facility',
       'deleted_facility',
+      'reverted_facility',
+      'restored_facility',
+      'purged_facility',
+      'imported_facilities',
+      'edited_facility_document',
+      'document_expiry_reminder',
+      'added_retail_outlet',
+      'edited_retail_outlet',
+      'deleted_retail_outlet',
+      'recorded_outlet_reading',
+      'recorded_price_observation',
+      'flagged_price_cap_breach',
+      'added_price_cap',
+      'edited_price_cap',
+      'deactivated_price_cap',
+      'added_inspection_template',
+      'edited_inspection_template',
+      'deactivated_inspection_template',
+      'scheduled_inspection',
+      'edited_inspection_schedule',
+      'submitted_inspection',
       'created_staff',
       'edited_staff',
       'deactivated_staff',
@@ -52,7 +97,7 @@ const activityLogSchema = new mongoose.Schema({
   },
   resourceType: {
     type: String,
-    enum: ['VehicleRequest', 'ItemRequest', 'Facility', 'User', 'System', 'Other']
+    enum: ['VehicleRequest', 'ItemRequest', 'Facility', 'User', 'Vehicle', 'Driver', 'StockItem', 'PriceCap', 'TakeoverCase', 'InspectionTemplate', 'Inspection', 'System', 'Other']
   },
   resourceId: {
     type: mongoose.Schema.Types.ObjectId
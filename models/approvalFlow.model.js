@@ -0,0 +1,183 @@
+// models/approvalFlow.model.js
+const mongoose = require('mongoose');
+
+// Built-in flows used when no active flow in the database matches a request.
+// These mirror the original within town / out of town approval chains.
+const DEFAULT_FLOWS = [
+  {
+    name: 'Within Town (default)',
+    key: 'within_town',
+    conditions: { destinations: ['within_town'] },
+    stages: [
+      { key: 'supervisor', name: 'Supervisor', roles: ['Supervisor', 'ROM Supervisor'], slaHours: 24, escalateAfterHours: 48,
+        reapprovalFields: ['destination', 'durationOfTrip', 'departureDate', 'dateOfReturn'] },
+      { key: 'corporate', name: 'Corporate Services', roles: ['Corporate Services'], slaHours: 24, escalateAfterHours: 48 },
+      { key: 'vehicle_officer', name: 'Vehicle Officer', roles: ['Vehicle Officer'], slaHours: 12, escalateAfterHours: 24,
+        escalationRoles: ['Regional Coordinator'],
+        reapprovalFields: ['vehicleType', 'durationOfTrip', 'departureDate', 'dateOfReturn'] }
+    ]
+  },
+  {
+    name: 'Out of Town (default)',
+    key: 'out_of_town',
+    conditions: { destinations: ['out_of_town'] },
+    stages: [
+      { key: 'supervisor', name: 'Supervisor', roles: ['Supervisor', 'ROM Supervisor'], slaHours: 24, escalateAfterHours: 48,
+        reapprovalFields: ['destination', 'durationOfTrip', 'departureDate', 'dateOfReturn'] },
+      { key: 'regional_coordinator', name: 'Regional Coordinator', roles: ['Regional Coordinator'], slaHours: 24, escalateAfterHours: 48 },
+      { key: 'vehicle_officer', name: 'Vehicle Officer', roles: ['Vehicle Officer'], slaHours: 12, escalateAfterHours: 24,
+        escalationRoles: ['Regional Coordinator'],
+        reapprovalFields: ['vehicleType', 'durationOfTrip', 'departureDate', 'dateOfReturn'] }
+    ]
+  }
+];
+
+const stageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  roles: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: (roles) => roles.length > 0,
+      message: 'A stage must have at least one approver role'
+    }
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  // Hours before the pending approver is reminded and the stage counts as breached
+  slaHours: {
+    type: Number,
+    min: 1
+  },
+  // Hours before the stage is escalated to a relieving officer or escalationRoles
+  escalateAfterHours: {
+    type: Number,
+    min: 1
+  },
+  // Roles that can act when the stage is escalated (defaults to the next stage's roles)
+  escalationRoles: [String],
+  // Request fields whose amendment needs this stage to approve again
+  // (defaults to all of VehicleRequest.REAPPROVAL_FIELDS)
+  reapprovalFields: [String]
+}, { _id: false });
+
+const approvalFlowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: String,
+
+  // Rules used to pick this flow for a request. Empty rules match everything.
+  conditions: {
+    destinations: [String],
+    divisions: [String],
+    vehicleTypes: [String],
+    minDurationDays: Number,
+    maxDurationDays: Number
+  },
+
+  // Higher priority flows are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: (stages) => stages.length > 0,
+      message: 'An approval flow must have at least one stage'
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+approvalFlowSchema.index({ isActive: 1, priority: -1 });
+
+// Keep stages ordered and stage keys unique
+approvalFlowSchema.pre('validate', function(next) {
+  this.stages.forEach((stage, index) => {
+    if (stage.order === undefined || stage.order === null) stage.order = index + 1;
+  });
+  this.stages.sort((a, b) => a.order - b.order);
+
+  const keys = this.stages.map(stage => stage.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('stages', 'Stage keys must be unique within a flow');
+  }
+  next();
+});
+
+// Check whether a request matches this flow's conditions
+const matchesConditions = (conditions = {}, request) => {
+  const { destinations, divisions, vehicleTypes, minDurationDays, maxDurationDays } = conditions;
+  const duration = Number(request.durationOfTrip);
+
+  if (destinations?.length && !destinations.includes(request.destination)) return false;
+  if (divisions?.length && !divisions.includes(request.division)) return false;
+  if (vehicleTypes?.length && !vehicleTypes.includes(request.vehicleType)) return false;
+  if (minDurationDays != null && !(duration >= minDurationDays)) return false;
+  if (maxDurationDays != null && !(duration <= maxDurationDays)) return false;
+  return true;
+};
+
+approvalFlowSchema.methods.matches = function(request) {
+  return matchesConditions(this.conditions, request);
+};
+
+// Find the flow that applies to a request: the highest priority active flow
+// whose conditions match, falling back to the built-in defaults
+approvalFlowSchema.statics.resolveForRequest = async function(request) {
+  const flows = await this.find({ isActive: true }).sort({ priority: -1, createdAt: 1 });
+  const flow = flows.find(candidate => candidate.matches(request));
+  if (flow) return flow;
+
+  const fallback = DEFAULT_FLOWS.find(candidate => matchesConditions(candidate.conditions, request))
+    || DEFAULT_FLOWS[0];
+
+  return {
+    _id: null,
+    key: fallback.key,
+    name: fallback.name,
+    stages: fallback.stages.map((stage, index) => ({ ...stage, order: index + 1 }))
+  };
+};
+
+approvalFlowSchema.statics.DEFAULT_FLOWS = DEFAULT_FLOWS;
+
+module.exports = mongoose.model('ApprovalFlow', approvalFlowSchema);
@@ -0,0 +1,18 @@
+// models/counter.model.js
+const mongoose = require('mongoose');
+
+// One document per sequence, keyed by name (e.g. "VR-2026-ABJ")
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,122 @@
+// models/driver.model.js
+const mongoose = require('mongoose');
+
+// Vehicle types each licence class permits
+const LICENCE_CLASSES = {
+  'A': ['Motorcycle'],
+  'B': ['Sedan', 'SUV', 'Pickup'],
+  'C': ['Sedan', 'SUV', 'Pickup', 'Bus'],
+  'E': ['Sedan', 'SUV', 'Pickup', 'Bus', 'Truck']
+};
+
+// How long a dispatch may hold a driver while it checks for overlapping trips
+const DISPATCH_CLAIM_SECONDS = 30;
+
+const driverSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  staffId: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  licenceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  licenceClass: {
+    type: String,
+    required: true,
+    enum: Object.keys(LICENCE_CLASSES)
+  },
+  licenceExpiry: {
+    type: Date,
+    required: true
+  },
+  homeStation: String,
+  dutyStatus: {
+    type: String,
+    enum: ['on_duty', 'off_duty', 'on_trip', 'on_leave', 'suspended'],
+    default: 'on_duty'
+  },
+  // Held while a vehicle officer dispatches the driver, so two officers
+  // cannot both pass the overlap checks for them
+  dispatchClaim: {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VehicleRequest'
+    },
+    expiresAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+driverSchema.index({ dutyStatus: 1 });
+driverSchema.index({ licenceExpiry: 1 });
+
+driverSchema.methods.isLicenceValidUntil = function(date) {
+  return this.licenceExpiry > new Date(date);
+};
+
+driverSchema.methods.canDrive = function(vehicleType) {
+  const allowed = LICENCE_CLASSES[this.licenceClass] || [];
+  return allowed.some(type => type.toLowerCase() === String(vehicleType).toLowerCase());
+};
+
+driverSchema.methods.isSchedulable = function() {
+  return !['on_leave', 'suspended'].includes(this.dutyStatus);
+};
+
+// Licence classes that permit a vehicle type
+driverSchema.statics.classesForVehicleType = function(vehicleType) {
+  return Object.keys(LICENCE_CLASSES).filter(licenceClass =>
+    LICENCE_CLASSES[licenceClass].some(type => type.toLowerCase() === String(vehicleType).toLowerCase())
+  );
+};
+
+// Claim a driver for dispatching a request. Resolves to the driver, or
+// null while another dispatch holds an unexpired claim on them.
+driverSchema.statics.claimForDispatch = function(driverId, requestId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: driverId, 'dispatchClaim.expiresAt': { $not: { $gt: now } } },
+    { dispatchClaim: { request: requestId, expiresAt: new Date(now.getTime() + DISPATCH_CLAIM_SECONDS * 1000) } },
+    { new: true }
+  );
+};
+
+driverSchema.statics.releaseDispatchClaim = function(driverId, requestId) {
+  return this.updateOne(
+    { _id: driverId, 'dispatchClaim.request': requestId },
+    { $unset: { dispatchClaim: 1 } }
+  );
+};
+
+driverSchema.statics.LICENCE_CLASSES = LICENCE_CLASSES;
+
+module.exports = mongoose.model('Driver', driverSchema);
@@ -1,5 +1,215 @@
 // models/Facility.js
 const mongoose = require('mongoose');
+const { trigrams } = require('../utils/search');
+
+const CHECKOUT_HOURS = Number(process.env.DOCUMENT_CHECKOUT_HOURS) || 24;
+// Days a soft-deleted facility stays in the recycle bin before it is purged
+const RETENTION_DAYS = Number(process.env.FACILITY_RETENTION_DAYS) || 90;
+// Days before a document expires that reminders go out, longest first
+const EXPIRY_REMINDER_DAYS = (process.env.DOCUMENT_EXPIRY_REMINDER_DAYS || '90,30,7')
+  .split(',')
+  .map(Number)
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+const DAY = 24 * 60 * 60 * 1000;
+
+// One stored file in a document's history
+const documentVersionSchema = new mongoose.Schema({
+  versionNumber: {
+    type: Number,
+    required: true
+  },
+  filename: String,
+  originalName: String,
+  storageDriver: String,
+  storageKey: String,
+  contentType: String,
+  size: Number, // Bytes
+  checksum: String, // SHA-256 hex
+  changeNote: String,
+  restoredFrom: Number, // Version this one was restored from
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A logical facility document. The top-level file fields mirror the
+// current version so existing clients keep working.
+const documentSchema = new mongoose.Schema({
+  category: String, // e.g. takeover_letter, operating_licence, insurance
+  // Validity of licences, permits and certificates
+  issuedAt: Date,
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.issuedAt || value > this.issuedAt;
+      },
+      message: 'Expiry date must be after the issue date'
+    }
+  },
+  // Reminder lead times (days, 0 for the expiry notice) already sent for
+  // the current expiry date
+  expiryRemindersSent: [Number],
+  filename: String,
+  fileUrl: String,
+  // Set for files uploaded through the document endpoints
+  originalName: String,
+  storageDriver: String,
+  storageKey: String,
+  contentType: String,
+  size: Number, // Bytes
+  checksum: String, // SHA-256 hex
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [documentVersionSchema],
+
+  // Optional edit lock so two uploaders don't work on the same file
+  checkout: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    checkedOutAt: Date,
+    expiresAt: Date
+  }
+});
+
+// Documents uploaded before versioning have no history; treat them as version 1
+documentSchema.methods.ensureVersions = function() {
+  if (!this.versions.length && (this.storageKey || this.fileUrl)) {
+    this.versions.push({
+      versionNumber: 1,
+      filename: this.filename,
+      originalName: this.originalName,
+      storageDriver: this.storageDriver,
+      storageKey: this.storageKey,
+      contentType: this.contentType,
+      size: this.size,
+      checksum: this.checksum,
+      uploadedBy: this.uploadedBy,
+      uploadedAt: this.uploadedAt
+    });
+    this.currentVersion = 1;
+  }
+};
+
+documentSchema.methods.getVersion = function(versionNumber) {
+  this.ensureVersions();
+  return this.versions.find(version => version.versionNumber === Number(versionNumber)) || null;
+};
+
+// Append a version and make it current
+documentSchema.methods.addVersion = function(file, userId, { changeNote, restoredFrom } = {}) {
+  this.ensureVersions();
+  const versionNumber = this.versions.reduce((max, version) => Math.max(max, version.versionNumber), 0) + 1;
+
+  const version = {
+    versionNumber,
+    filename: file.filename || file.originalName,
+    originalName: file.originalName,
+    storageDriver: file.storageDriver,
+    storageKey: file.storageKey,
+    contentType: file.contentType,
+    size: file.size,
+    checksum: file.checksum,
+    changeNote,
+    restoredFrom,
+    uploadedBy: userId,
+    uploadedAt: new Date()
+  };
+  this.versions.push(version);
+
+  Object.assign(this, {
+    filename: version.filename,
+    originalName: version.originalName,
+    storageDriver: version.storageDriver,
+    storageKey: version.storageKey,
+    contentType: version.contentType,
+    size: version.size,
+    checksum: version.checksum,
+    uploadedBy: userId,
+    uploadedAt: version.uploadedAt,
+    currentVersion: versionNumber
+  });
+  return version;
+};
+
+// Set issue and expiry dates; a new expiry date restarts the reminders
+documentSchema.methods.setValidity = function({ issuedAt, expiresAt } = {}) {
+  if (issuedAt !== undefined) this.issuedAt = issuedAt || undefined;
+  if (expiresAt !== undefined) {
+    const previous = this.expiresAt?.getTime();
+    this.expiresAt = expiresAt || undefined;
+    if (this.expiresAt?.getTime() !== previous) this.expiryRemindersSent = [];
+  }
+};
+
+// Whole days until expiry, negative once expired; null without an expiry date
+documentSchema.methods.daysToExpiry = function(now = new Date()) {
+  return this.expiresAt ? Math.ceil((this.expiresAt - now) / DAY) : null;
+};
+
+documentSchema.methods.isExpired = function(now = new Date()) {
+  return !!this.expiresAt && this.expiresAt <= now;
+};
+
+// Lead time of the reminder due now, recorded as sent, or null if none is
+// due. Only the nearest lead time is sent when several have passed at
+// once, e.g. for a document uploaded 20 days before it expires.
+documentSchema.methods.claimExpiryReminder = function(now = new Date(), leadTimes = EXPIRY_REMINDER_DAYS) {
+  const daysLeft = this.daysToExpiry(now);
+  if (daysLeft === null) return null;
+
+  const due = daysLeft <= 0
+    ? [0]
+    : leadTimes.filter(days => daysLeft <= days);
+  const unsent = due.filter(days => !this.expiryRemindersSent.includes(days));
+  if (!unsent.length) return null;
+
+  this.expiryRemindersSent.push(...unsent);
+  return Math.min(...unsent);
+};
+
+documentSchema.methods.isCheckedOut = function() {
+  return !!this.checkout?.user && this.checkout.expiresAt > new Date();
+};
+
+// True if someone other than userId holds a live lock
+documentSchema.methods.isLockedFor = function(userId) {
+  return this.isCheckedOut() && !this.checkout.user.equals(userId);
+};
+
+documentSchema.methods.checkOut = function(userId, { note, hours = CHECKOUT_HOURS } = {}) {
+  const now = new Date();
+  this.checkout = {
+    user: userId,
+    note,
+    checkedOutAt: now,
+    expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+  };
+};
+
+documentSchema.methods.checkIn = function() {
+  this.checkout = undefined;
+};
 
 const facilitySchema = new mongoose.Schema({
   name: {
@@ -28,23 +238,23 @@ const facilitySchema = new mongoose.Schema({
     }
   },
   mapUrl: String,
+  // Regional office code (e.g. ABJ), used for regional reporting
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   
   // Takeover information
   takenOverBy: {
     company: String,
     date: Date,
-    documents: [{
-      filename: String,
-      fileUrl: String,
-      uploadedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      uploadedAt: {
-        type: Date,
-        default: Date.now
-      }
-    }]
+    // Approved takeover case that set the company and date
+    takeoverCase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TakeoverCase'
+    },
+    documents: [documentSchema]
   },
   
   // File categorization
@@ -60,12 +270,18 @@ const facilitySchema = new mongoose.Schema({
     outletAddress: String,
     pmsOpeningStock: Number, // Litres
     productReceived: Number, // Litres
+    pumpPrice: Number, // Naira per litre
     priceRange: String, // Naira
     pumpDispensingLevel: String,
+    // Latest values above are the most recent reading; the full series
+    // is kept in OutletReading
     lastUpdated: {
       type: Date,
       default: Date.now
     },
+    // Date of the reading the latest values came from; unset until the
+    // first reading
+    lastReadingAt: Date,
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -89,6 +305,43 @@ const facilitySchema = new mongoose.Schema({
     ref: 'User'
   },
   
+  // Soft deletion. Deleted facilities are hidden from queries, kept in the
+  // recycle bin and purged after the retention period.
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletionReason: String,
+
+  notifications: [{
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    type: {
+      type: String
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Trigrams of name, serial number and outlet names for typo-tolerant
+  // autocomplete. Maintained on save.
+  searchTrigrams: {
+    type: [String],
+    select: false
+  },
+
+  // Legacy whole-document edit history. New changes are recorded
+  // field by field in FacilityHistory.
   modifications: [{
     modifiedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -104,17 +357,123 @@ const facilitySchema = new mongoose.Schema({
 // Geospatial index for location-based queries
 facilitySchema.index({ location: '2dsphere' });
 facilitySchema.index({ serialNo: 1 });
-facilitySchema.index({ name: 'text' });
+// Weighted text index for ranked search. Replaces the old name-only
+// text index (name_text); migrateTextIndex drops that one at startup.
+facilitySchema.index(
+  { name: 'text', serialNo: 'text', 'retailOutlets.outletName': 'text', address: 'text' },
+  {
+    name: 'facility_text_search',
+    weights: { name: 10, serialNo: 8, 'retailOutlets.outletName': 5, address: 3 }
+  }
+);
+facilitySchema.index({ searchTrigrams: 1 });
 facilitySchema.index({ status: 1 });
+facilitySchema.index({ region: 1 });
+facilitySchema.index({ deletedAt: 1 });
+facilitySchema.index({ 'takenOverBy.documents.expiresAt': 1 });
 
-// Method to add modification history
-facilitySchema.methods.addModification = function(userId, changes) {
-  this.modifications.push({
-    modifiedBy: userId,
-    modifiedAt: new Date(),
-    changes: changes
+// Hide soft-deleted facilities unless the query asks for them with
+// .setOptions({ withDeleted: true }) or filters on deletedAt itself
+facilitySchema.pre([/^find/, 'countDocuments'], function(next) {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+facilitySchema.methods.updateSearchTrigrams = function() {
+  const outletNames = (this.retailOutlets || []).map(outlet => outlet.outletName).join(' ');
+  this.searchTrigrams = trigrams(`${this.name} ${this.serialNo} ${outletNames}`);
+};
+
+// Keep the autocomplete trigrams in step with the searchable fields.
+// insertMany skips save hooks, so bulk inserts call updateSearchTrigrams.
+facilitySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('serialNo') || this.isModified('retailOutlets')) {
+    this.updateSearchTrigrams();
+  }
+  next();
+});
+
+facilitySchema.methods.softDelete = function(userId, reason) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.deletionReason = reason;
+};
+
+facilitySchema.methods.restore = function() {
+  this.deletedAt = undefined;
+  this.deletedBy = undefined;
+  this.deletionReason = undefined;
+};
+
+// Date after which a soft-deleted facility is purged for good
+facilitySchema.methods.purgeAfter = function() {
+  return this.deletedAt
+    ? new Date(this.deletedAt.getTime() + RETENTION_DAYS * DAY)
+    : null;
+};
+
+// Documents that have expired, and those expiring within the longest
+// reminder lead time
+facilitySchema.methods.getDocumentAlerts = function(now = new Date()) {
+  const horizon = EXPIRY_REMINDER_DAYS[0] || 0;
+  const describe = doc => ({
+    _id: doc._id,
+    category: doc.category,
+    filename: doc.filename,
+    issuedAt: doc.issuedAt,
+    expiresAt: doc.expiresAt,
+    daysToExpiry: doc.daysToExpiry(now)
+  });
+  const documents = (this.takenOverBy?.documents || []).filter(doc => doc.expiresAt);
+
+  return {
+    expired: documents.filter(doc => doc.isExpired(now)).map(describe),
+    expiringSoon: documents
+      .filter(doc => !doc.isExpired(now) && doc.daysToExpiry(now) <= horizon)
+      .map(describe)
+  };
+};
+
+facilitySchema.methods.notify = function(recipients, message, type) {
+  [].concat(recipients).forEach(recipient => {
+    this.notifications.push({ recipient: recipient._id || recipient, message, type });
   });
-  this.lastModifiedBy = userId;
 };
 
+// A collection can only have one text index, so the old name_text index
+// stops facility_text_search from building. Drop it and build the new
+// indexes. Returns true if there was anything to migrate.
+facilitySchema.statics.migrateTextIndex = async function() {
+  // indexes() fails if the collection does not exist yet
+  const indexes = await this.collection.indexes().catch(() => []);
+  if (!indexes.some(index => index.name === 'name_text')) return false;
+
+  await this.collection.dropIndex('name_text');
+  await this.createIndexes();
+  return true;
+};
+
+// Fill searchTrigrams on facilities saved before the field existed, so
+// fuzzy search finds them without waiting for an edit. Returns how many
+// facilities were updated.
+facilitySchema.statics.backfillSearchTrigrams = async function() {
+  const cursor = this.find({ searchTrigrams: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select('name serialNo retailOutlets.outletName')
+    .cursor();
+
+  let updated = 0;
+  for await (const facility of cursor) {
+    facility.updateSearchTrigrams();
+    await this.updateOne({ _id: facility._id }, { searchTrigrams: facility.searchTrigrams });
+    updated++;
+  }
+  return updated;
+};
+
+facilitySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+facilitySchema.statics.EXPIRY_REMINDER_DAYS = EXPIRY_REMINDER_DAYS;
+
 module.exports = mongoose.model('Facility', facilitySchema);
\ No newline at end of file
@@ -0,0 +1,117 @@
+// models/facilityHistory.model.js
+const mongoose = require('mongoose');
+const { nextSequence } = require('../utils/counter');
+
+// Facility fields whose changes are recorded and can be reverted
+const TRACKED_FIELDS = [
+  'name', 'address', 'serialNo', 'location', 'mapUrl', 'region',
+  'fileType', 'status', 'takenOverBy.company', 'takenOverBy.date'
+];
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+// Plain, comparable form of a value (dates as ISO strings, no subdoc ids)
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return JSON.parse(JSON.stringify(value, (key, val) => (key === '_id' ? undefined : val)));
+};
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One revision of a facility: the fields that changed and who changed them
+const facilityHistorySchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // Per-facility revision number, starting at 1
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'reverted'],
+    required: true
+  },
+  changes: [changeSchema],
+  revertedTo: Number, // Revision restored by a revert
+  comments: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+facilityHistorySchema.index({ facility: 1, revision: -1 }, { unique: true });
+
+// Field-level differences between two facility snapshots
+facilityHistorySchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS.reduce((changes, path) => {
+    const oldValue = normalize(getPath(before, path));
+    const newValue = normalize(getPath(after, path));
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+    return changes;
+  }, []);
+};
+
+// Store a revision if anything changed. Returns the entry or null.
+facilityHistorySchema.statics.record = async function(facilityId, changes, userId, { action = 'updated', revertedTo, comments } = {}) {
+  if (!changes.length) return null;
+
+  const revision = await nextSequence(`facility-history-${facilityId}`);
+  return this.create({
+    facility: facilityId,
+    revision,
+    action,
+    changes,
+    revertedTo,
+    comments,
+    changedBy: userId
+  });
+};
+
+// Tracked field values as they were right after a revision, found by
+// undoing every later change from the current facility backwards
+facilityHistorySchema.statics.snapshotAt = async function(facility, revision) {
+  const later = await this.find({ facility: facility._id, revision: { $gt: revision } })
+    .sort({ revision: -1 });
+
+  const current = facility.toObject();
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(path => { snapshot[path] = normalize(getPath(current, path)); });
+  later.forEach(entry => {
+    entry.changes.forEach(change => {
+      if (TRACKED_FIELDS.includes(change.path)) snapshot[change.path] = change.before;
+    });
+  });
+  return snapshot;
+};
+
+// Takeovers are only recorded through an approved takeover case, so a
+// revert must not set or clear the takeover company and date, or move the
+// status to or from 'Taken Over'
+facilityHistorySchema.statics.isTakeoverChange = function(change) {
+  if (change.path.startsWith('takenOverBy.')) return true;
+  return change.path === 'status' && [change.before, change.after].includes('Taken Over');
+};
+
+facilityHistorySchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('FacilityHistory', facilityHistorySchema);
@@ -0,0 +1,77 @@
+// models/facilityImport.model.js
+const mongoose = require('mongoose');
+
+// Validated imports can be committed for this long before they expire
+const IMPORT_TTL_HOURS = Number(process.env.FACILITY_IMPORT_TTL_HOURS) || 24;
+
+const importRowSchema = new mongoose.Schema({
+  row: Number, // Line in the uploaded spreadsheet
+  data: mongoose.Schema.Types.Mixed, // Facility fields read from the row
+  issues: [String], // Problems that keep the row from being imported
+  warnings: [String] // Imported anyway, but worth checking
+}, { _id: false });
+
+// A bulk facility import: the dry-run report, then the result of committing it
+const facilityImportSchema = new mongoose.Schema({
+  filename: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  status: {
+    type: String,
+    enum: ['validated', 'committing', 'committed'],
+    default: 'validated'
+  },
+  rows: [importRowSchema],
+  summary: {
+    total: Number,
+    valid: Number,
+    invalid: Number,
+    warnings: Number
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date,
+  result: {
+    created: Number,
+    skipped: Number,
+    failed: [{
+      _id: false,
+      row: Number,
+      error: String
+    }]
+  },
+
+  // Uncommitted imports are removed by MongoDB once this passes
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IMPORT_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+facilityImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+facilityImportSchema.methods.summarize = function() {
+  const invalid = this.rows.filter(row => row.issues.length).length;
+  this.summary = {
+    total: this.rows.length,
+    valid: this.rows.length - invalid,
+    invalid,
+    warnings: this.rows.filter(row => row.warnings.length).length
+  };
+  return this.summary;
+};
+
+module.exports = mongoose.model('FacilityImport', facilityImportSchema);
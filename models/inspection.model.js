@@ -0,0 +1,79 @@
+// models/inspection.model.js
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: String,
+  type: String,
+  value: mongoose.Schema.Types.Mixed,
+  // Stored file for photo answers
+  photo: {
+    originalName: String,
+    storageDriver: String,
+    storageKey: String,
+    contentType: String,
+    size: Number,
+    checksum: String
+  },
+  passed: Boolean, // Unset for questions that are not scored
+  points: Number
+}, { _id: false });
+
+// A submitted inspection: an officer's answers to a template's questions
+const inspectionSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // _id of the entry in Facility.retailOutlets, if one outlet was inspected
+  outlet: mongoose.Schema.Types.ObjectId,
+  outletName: String,
+
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InspectionTemplate',
+    required: true
+  },
+  templateName: String,
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InspectionSchedule'
+  },
+
+  inspector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  inspectedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  answers: [answerSchema],
+  score: Number,
+  maxScore: Number,
+  percentage: Number,
+  passMark: Number,
+  passed: Boolean,
+  notes: String,
+
+  // Outlet reading created from answers mapped to outlet fields
+  outletReading: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutletReading'
+  }
+}, {
+  timestamps: true
+});
+
+inspectionSchema.index({ facility: 1, inspectedAt: -1 });
+inspectionSchema.index({ template: 1, inspectedAt: -1 });
+inspectionSchema.index({ inspector: 1, inspectedAt: -1 });
+
+module.exports = mongoose.model('Inspection', inspectionSchema);
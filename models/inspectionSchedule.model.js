@@ -0,0 +1,70 @@
+// models/inspectionSchedule.model.js
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How often a facility is inspected with a template
+const inspectionScheduleSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InspectionTemplate',
+    required: true
+  },
+  frequencyDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Officer usually responsible; anyone in ROM can still inspect
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  nextDueDate: {
+    type: Date,
+    required: true
+  },
+  lastInspectedAt: Date,
+  lastInspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+inspectionScheduleSchema.index({ facility: 1, template: 1 }, { unique: true });
+inspectionScheduleSchema.index({ isActive: 1, nextDueDate: 1 });
+
+// Move the due date on from an inspection
+inspectionScheduleSchema.methods.recordInspection = function(inspection) {
+  if (this.lastInspectedAt && inspection.inspectedAt < this.lastInspectedAt) return;
+  this.lastInspectedAt = inspection.inspectedAt;
+  this.lastInspection = inspection._id;
+  this.nextDueDate = new Date(inspection.inspectedAt.getTime() + this.frequencyDays * DAY);
+};
+
+inspectionScheduleSchema.methods.daysOverdue = function(now = new Date()) {
+  return Math.max(0, Math.floor((now - this.nextDueDate) / DAY));
+};
+
+module.exports = mongoose.model('InspectionSchedule', inspectionScheduleSchema);
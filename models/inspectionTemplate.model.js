@@ -0,0 +1,177 @@
+// models/inspectionTemplate.model.js
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['number', 'choice', 'photo', 'yes_no'];
+
+// Outlet fields a number or choice answer can be recorded into as a reading
+const OUTLET_FIELDS = ['pmsOpeningStock', 'productReceived', 'pumpPrice', 'priceRange', 'pumpDispensingLevel'];
+
+const questionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  // Points the question is worth; 0 for questions that are only recorded
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  options: [String], // choice
+  passOptions: [String], // choice answers that pass
+  expected: Boolean, // yes_no answer that passes
+  min: Number, // number: lowest passing value
+  max: Number, // number: highest passing value
+  unit: String, // number, e.g. Litres
+  outletField: {
+    type: String,
+    enum: OUTLET_FIELDS
+  }
+}, { _id: false });
+
+const inspectionTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: (questions) => questions.length > 0,
+      message: 'A template must have at least one question'
+    }
+  },
+  // Percentage of available points needed to pass
+  passMark: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Question keys must be unique and choice questions need options
+inspectionTemplateSchema.pre('validate', function(next) {
+  const keys = this.questions.map(question => question.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('questions', 'Question keys must be unique within a template');
+  }
+  this.questions.forEach(question => {
+    if (question.type === 'choice' && !question.options?.length) {
+      this.invalidate('questions', `Choice question "${question.key}" needs options`);
+    }
+  });
+  next();
+});
+
+const isAnswered = (value) => value !== undefined && value !== null && value !== '';
+
+// Whether one answer passes its question; null when it is not scored
+const evaluate = (question, value) => {
+  switch (question.type) {
+    case 'yes_no':
+      return question.expected == null ? null : value === question.expected;
+    case 'number':
+      if (question.min == null && question.max == null) return null;
+      return (question.min == null || value >= question.min) &&
+        (question.max == null || value <= question.max);
+    case 'choice':
+      return question.passOptions?.length ? question.passOptions.includes(value) : null;
+    case 'photo':
+      return isAnswered(value);
+    default:
+      return null;
+  }
+};
+
+// Check answers against the questions and coerce them to their types.
+// Returns { answers, errors } with answers keyed by question.
+inspectionTemplateSchema.methods.readAnswers = function(raw = {}) {
+  const answers = {};
+  const errors = [];
+
+  this.questions.forEach(question => {
+    let value = raw[question.key];
+
+    if (!isAnswered(value)) {
+      if (question.required) errors.push(`${question.label} is required`);
+      return;
+    }
+
+    if (question.type === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value)) return errors.push(`${question.label} must be a number`);
+    } else if (question.type === 'yes_no') {
+      if (['true', 'yes', true].includes(value)) value = true;
+      else if (['false', 'no', false].includes(value)) value = false;
+      else return errors.push(`${question.label} must be yes or no`);
+    } else if (question.type === 'choice') {
+      if (!question.options.includes(value)) {
+        return errors.push(`${question.label} must be one of: ${question.options.join(', ')}`);
+      }
+    }
+
+    answers[question.key] = value;
+  });
+
+  return { answers, errors };
+};
+
+// Score answers: points for every passing scored question, pass/fail
+// against passMark. Optional questions left blank are not scored.
+inspectionTemplateSchema.methods.score = function(answers) {
+  let score = 0;
+  let maxScore = 0;
+
+  const results = this.questions.map(question => {
+    const value = answers[question.key];
+    const passed = isAnswered(value) ? evaluate(question, value) : null;
+    const scored = passed !== null && question.weight > 0;
+
+    if (scored) {
+      maxScore += question.weight;
+      if (passed) score += question.weight;
+    }
+    return { question, value, passed, points: scored && passed ? question.weight : 0 };
+  });
+
+  const percentage = maxScore ? Math.round((score / maxScore) * 1000) / 10 : 100;
+  return { results, score, maxScore, percentage, passed: percentage >= this.passMark };
+};
+
+inspectionTemplateSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+inspectionTemplateSchema.statics.OUTLET_FIELDS = OUTLET_FIELDS;
+
+module.exports = mongoose.model('InspectionTemplate', inspectionTemplateSchema);
@@ -1,5 +1,6 @@
 // models/ItemRequest.js
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/counter');
 
 const itemRequestSchema = new mongoose.Schema({
   requestId: {
@@ -31,6 +32,11 @@ const itemRequestSchema = new mongoose.Schema({
   },
   
   items: [{
+    // Catalogue item, when the request is for stocked stores
+    stockItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockItem'
+    },
     description: {
       type: String,
       required: true
@@ -85,6 +91,11 @@ const itemRequestSchema = new mongoose.Schema({
     itemsFulfilled: [{
       itemId: mongoose.Schema.Types.ObjectId,
       quantityFulfilled: Number,
+      store: String,
+      stockMovement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockMovement'
+      },
       notes: String
     }],
     notes: String
@@ -108,13 +119,27 @@ itemRequestSchema.index({ requestingOfficer: 1 });
 itemRequestSchema.index({ status: 1 });
 itemRequestSchema.index({ createdAt: -1 });
 
-// Generate request ID
-itemRequestSchema.pre('save', async function(next) {
+// Generate request ID (before validation, since requestId is required)
+itemRequestSchema.pre('validate', async function(next) {
   if (!this.requestId) {
-    const count = await mongoose.model('ItemRequest').countDocuments();
-    this.requestId = `ITEM-REQ-${String(count + 1).padStart(4, '0')}`;
+    this.requestId = await generateId({ prefix: 'ITEM-REQ', yearly: true });
   }
   next();
 });
 
+// Total quantity fulfilled so far for each requested item
+itemRequestSchema.methods.getFulfilledQuantities = function() {
+  const totals = {};
+  (this.fulfillment?.itemsFulfilled || []).forEach(entry => {
+    const key = String(entry.itemId);
+    totals[key] = (totals[key] || 0) + (entry.quantityFulfilled || 0);
+  });
+  return totals;
+};
+
+itemRequestSchema.methods.isFullyFulfilled = function() {
+  const totals = this.getFulfilledQuantities();
+  return this.items.every(item => (totals[String(item._id)] || 0) >= item.quantity);
+};
+
 module.exports = mongoose.model('ItemRequest', itemRequestSchema);
\ No newline at end of file
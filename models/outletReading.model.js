@@ -0,0 +1,79 @@
+// models/outletReading.model.js
+const mongoose = require('mongoose');
+
+// One dated stock, receipt, price and pump reading for a retail outlet.
+// The outlet on the facility keeps the latest values; this is the history.
+const outletReadingSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // _id of the entry in Facility.retailOutlets
+  outlet: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  outletName: String, // Snapshot at the time of the reading
+
+  readingDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  pmsOpeningStock: {
+    type: Number, // Litres
+    min: 0
+  },
+  productReceived: {
+    type: Number, // Litres
+    min: 0
+  },
+  pumpPrice: {
+    type: Number, // Naira per litre
+    min: 0
+  },
+  priceRange: String, // Naira
+  pumpDispensingLevel: String,
+  notes: String,
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+outletReadingSchema.index({ facility: 1, outlet: 1, readingDate: -1 });
+
+// Fields a reading can carry; at least one is required
+outletReadingSchema.statics.READING_FIELDS = [
+  'pmsOpeningStock', 'productReceived', 'pumpPrice', 'priceRange', 'pumpDispensingLevel'
+];
+
+outletReadingSchema.pre('validate', function(next) {
+  const hasValue = this.constructor.READING_FIELDS.some(field =>
+    this[field] !== undefined && this[field] !== null && this[field] !== '');
+  if (!hasValue) {
+    this.invalidate('readingDate', 'A reading must include at least one stock, receipt, price or pump value');
+  }
+  next();
+});
+
+// Copy a reading's values onto the outlet as its latest values, unless a
+// newer reading is already there. Returns true if the outlet changed.
+outletReadingSchema.methods.applyToOutlet = function(outlet, values) {
+  if (outlet.lastReadingAt && this.readingDate < outlet.lastReadingAt) return false;
+
+  Object.assign(outlet, values, {
+    lastReadingAt: this.readingDate,
+    lastUpdated: new Date(),
+    updatedBy: this.recordedBy
+  });
+  return true;
+};
+
+module.exports = mongoose.model('OutletReading', outletReadingSchema);
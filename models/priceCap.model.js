@@ -0,0 +1,78 @@
+// models/priceCap.model.js
+const mongoose = require('mongoose');
+
+const PRODUCTS = ['PMS', 'AGO', 'DPK'];
+
+// Regulated pump price cap for a product, nationally or for one region
+const priceCapSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    enum: PRODUCTS,
+    required: true
+  },
+  // Regional office code; empty for the national cap
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  cap: {
+    type: Number, // Naira per litre
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  effectiveTo: Date,
+  reference: String, // Circular or directive the cap comes from
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceCapSchema.index({ product: 1, region: 1, effectiveFrom: -1 });
+
+priceCapSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+  }
+  next();
+});
+
+// The cap in force for a product at a date: a regional cap wins over the
+// national one, and the most recent effectiveFrom wins within each
+priceCapSchema.statics.findApplicable = async function(product, region, at = new Date()) {
+  const caps = await this.find({
+    product,
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $and: [
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }] },
+      { $or: [{ region: region ? region.toUpperCase() : null }, { region: null }, { region: '' }] }
+    ]
+  }).sort({ effectiveFrom: -1 });
+
+  return caps.find(cap => region && cap.region === region.toUpperCase())
+    || caps.find(cap => !cap.region)
+    || null;
+};
+
+priceCapSchema.statics.PRODUCTS = PRODUCTS;
+
+module.exports = mongoose.model('PriceCap', priceCapSchema);
@@ -0,0 +1,129 @@
+// models/priceObservation.model.js
+const mongoose = require('mongoose');
+const PriceCap = require('./priceCap.model');
+
+// A pump price observed for one product at a facility or one of its outlets
+const priceObservationSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // _id of the entry in Facility.retailOutlets, if observed at an outlet
+  outlet: mongoose.Schema.Types.ObjectId,
+  outletName: String,
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  product: {
+    type: String,
+    enum: PriceCap.PRODUCTS,
+    required: true
+  },
+  // Naira per litre
+  observedPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minPrice: {
+    type: Number,
+    min: 0
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  observedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  observedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String,
+
+  // Result of checking against the cap in force when observed
+  capCheck: {
+    priceCap: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceCap'
+    },
+    cap: Number,
+    breached: {
+      type: Boolean,
+      default: false
+    },
+    excess: Number // Naira per litre above the cap
+  },
+
+  notifications: [{
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    type: {
+      type: String
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+priceObservationSchema.index({ facility: 1, product: 1, observedAt: -1 });
+priceObservationSchema.index({ region: 1, product: 1, observedAt: -1 });
+priceObservationSchema.index({ 'capCheck.breached': 1, observedAt: -1 });
+
+priceObservationSchema.pre('validate', function(next) {
+  if (this.minPrice != null && this.maxPrice != null && this.minPrice > this.maxPrice) {
+    this.invalidate('minPrice', 'minPrice cannot be above maxPrice');
+  }
+  if (this.minPrice != null && this.observedPrice < this.minPrice) {
+    this.invalidate('observedPrice', 'observedPrice cannot be below minPrice');
+  }
+  if (this.maxPrice != null && this.observedPrice > this.maxPrice) {
+    this.invalidate('observedPrice', 'observedPrice cannot be above maxPrice');
+  }
+  next();
+});
+
+// Compare the highest price seen against the cap in force at observedAt
+priceObservationSchema.methods.checkCap = async function() {
+  const priceCap = await PriceCap.findApplicable(this.product, this.region, this.observedAt);
+  if (!priceCap) {
+    this.capCheck = { breached: false };
+    return this.capCheck;
+  }
+
+  const highest = Math.max(this.observedPrice, this.maxPrice || 0);
+  this.capCheck = {
+    priceCap: priceCap._id,
+    cap: priceCap.cap,
+    breached: highest > priceCap.cap,
+    excess: highest > priceCap.cap ? highest - priceCap.cap : 0
+  };
+  return this.capCheck;
+};
+
+priceObservationSchema.methods.notify = function(recipients, message, type) {
+  [].concat(recipients).forEach(recipient => {
+    this.notifications.push({ recipient: recipient._id || recipient, message, type });
+  });
+};
+
+module.exports = mongoose.model('PriceObservation', priceObservationSchema);
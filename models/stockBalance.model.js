@@ -0,0 +1,29 @@
+// models/stockBalance.model.js
+const mongoose = require('mongoose');
+
+// Current quantity of a stock item held in a store. Only changed through
+// StockMovement.post so it always matches the ledger.
+const stockBalanceSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockItem',
+    required: true
+  },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+stockBalanceSchema.index({ item: 1, store: 1 }, { unique: true });
+stockBalanceSchema.index({ store: 1 });
+
+module.exports = mongoose.model('StockBalance', stockBalanceSchema);
@@ -0,0 +1,49 @@
+// models/stockItem.model.js
+const mongoose = require('mongoose');
+
+const stockItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  category: String,
+  unit: {
+    type: String,
+    required: true
+  },
+  // Balances at or below this level show up on the low-stock report
+  reorderLevel: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockItemSchema.index({ name: 1 });
+stockItemSchema.index({ category: 1 });
+
+module.exports = mongoose.model('StockItem', stockItemSchema);
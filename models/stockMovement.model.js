@@ -0,0 +1,106 @@
+// models/stockMovement.model.js
+const mongoose = require('mongoose');
+
+// Stock ledger. Quantities are signed: receipts are positive, issues
+// negative and adjustments either.
+const stockMovementSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockItem',
+    required: true
+  },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'issue', 'adjustment'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reference: {
+    itemRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ItemRequest'
+    },
+    requestId: String,
+    document: String // Waybill, invoice or count sheet number
+  },
+  notes: String,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+stockMovementSchema.index({ item: 1, store: 1, postedAt: -1 });
+stockMovementSchema.index({ 'reference.itemRequest': 1 });
+stockMovementSchema.index({ postedAt: -1 });
+
+// Post a movement and update the store balance. Outgoing movements only
+// apply if the balance covers them, so stock can never go negative.
+// Pass a session to post several movements in one transaction. Without
+// one, a ledger row that fails to save has its balance change undone.
+stockMovementSchema.statics.post = async function(entry, session) {
+  const { item, store, quantity } = entry;
+  const StockBalance = mongoose.model('StockBalance');
+
+  if (!quantity) {
+    const error = new Error('Movement quantity cannot be zero');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Validate the ledger row before the balance changes
+  const movement = new this({ ...entry, balanceAfter: 0 });
+  await movement.validate();
+
+  let balance;
+  if (quantity > 0) {
+    balance = await StockBalance.findOneAndUpdate(
+      { item, store },
+      { $inc: { quantity } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+  } else {
+    balance = await StockBalance.findOneAndUpdate(
+      { item, store, quantity: { $gte: -quantity } },
+      { $inc: { quantity } },
+      { new: true, session }
+    );
+  }
+
+  if (!balance) {
+    const available = await StockBalance.findOne({ item, store }).session(session || null);
+    const error = new Error(`Insufficient stock in ${store}: ${available?.quantity || 0} available, ${-quantity} required`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  movement.balanceAfter = balance.quantity;
+  try {
+    await movement.save({ session });
+  } catch (error) {
+    if (!session) {
+      await StockBalance.updateOne({ item, store }, { $inc: { quantity: -quantity } });
+    }
+    throw error;
+  }
+  return movement;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
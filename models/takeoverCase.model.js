@@ -0,0 +1,223 @@
+// models/takeoverCase.model.js
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/counter');
+
+// Documents a case needs before it can be submitted for approval
+const REQUIRED_DOCUMENTS = (process.env.TAKEOVER_REQUIRED_DOCUMENTS || 'takeover_letter,deed_of_assignment')
+  .split(',')
+  .map(category => category.trim())
+  .filter(Boolean);
+
+// Sign-off chain for every takeover
+const TAKEOVER_STAGES = [
+  { stage: 'rom_supervisor', name: 'ROM Supervisor', roles: ['ROM Supervisor'] },
+  { stage: 'regional_coordinator', name: 'Regional Coordinator', roles: ['Regional Coordinator'] }
+];
+
+const caseDocumentSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  filename: String,
+  originalName: String,
+  storageDriver: String,
+  storageKey: String,
+  contentType: String,
+  size: Number, // Bytes
+  checksum: String, // SHA-256 hex
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const approvalSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    required: true
+  },
+  name: String,
+  roles: [String],
+  order: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  comments: String
+}, { _id: false });
+
+// Retail outlet figures as they stood when the case was submitted
+const inventorySnapshotSchema = new mongoose.Schema({
+  outlet: mongoose.Schema.Types.ObjectId,
+  outletName: String,
+  outletAddress: String,
+  pmsOpeningStock: Number, // Litres
+  productReceived: Number, // Litres
+  pumpPrice: Number, // Naira per litre
+  priceRange: String,
+  pumpDispensingLevel: String,
+  lastUpdated: Date
+}, { _id: false });
+
+const takeoverCaseSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  company: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  notes: String,
+
+  documents: [caseDocumentSchema],
+  inventorySnapshot: [inventorySnapshotSchema],
+  snapshotTakenAt: Date,
+
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'approved', 'declined', 'cancelled'],
+    default: 'draft'
+  },
+  approvals: [approvalSchema],
+  currentApprovalStage: String,
+  submittedAt: Date,
+  completedAt: Date,
+
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  declinedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    declinedAt: Date
+  },
+
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    cancelledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+takeoverCaseSchema.index({ facility: 1, status: 1 });
+takeoverCaseSchema.index({ status: 1, currentApprovalStage: 1 });
+
+takeoverCaseSchema.pre('validate', async function(next) {
+  if (!this.caseId) {
+    this.caseId = await generateId({ prefix: 'TO', yearly: true, region: this.region });
+  }
+  next();
+});
+
+takeoverCaseSchema.methods.isOpen = function() {
+  return ['draft', 'pending'].includes(this.status);
+};
+
+// Required document categories not yet attached
+takeoverCaseSchema.methods.getMissingDocuments = function() {
+  const attached = new Set(this.documents.map(doc => doc.category));
+  return REQUIRED_DOCUMENTS.filter(category => !attached.has(category));
+};
+
+// Record the outlets' current figures on the case
+takeoverCaseSchema.methods.takeInventorySnapshot = function(facility) {
+  this.inventorySnapshot = (facility.retailOutlets || []).map(outlet => ({
+    outlet: outlet._id,
+    outletName: outlet.outletName,
+    outletAddress: outlet.outletAddress,
+    pmsOpeningStock: outlet.pmsOpeningStock,
+    productReceived: outlet.productReceived,
+    pumpPrice: outlet.pumpPrice,
+    priceRange: outlet.priceRange,
+    pumpDispensingLevel: outlet.pumpDispensingLevel,
+    lastUpdated: outlet.lastUpdated
+  }));
+  this.snapshotTakenAt = new Date();
+};
+
+takeoverCaseSchema.methods.initializeApprovals = function() {
+  this.approvals = TAKEOVER_STAGES.map((stage, index) => ({ ...stage, order: index + 1 }));
+  this.currentApprovalStage = this.approvals[0].stage;
+};
+
+takeoverCaseSchema.methods.getCurrentApproval = function() {
+  return this.approvals.find(approval => approval.stage === this.currentApprovalStage) || null;
+};
+
+takeoverCaseSchema.methods.canBeApprovedBy = function(role) {
+  return this.status === 'pending' && !!this.getCurrentApproval()?.roles.includes(role);
+};
+
+// Record the current stage's decision and move on. Returns true when the
+// final stage has been approved.
+takeoverCaseSchema.methods.recordDecision = function(userId, status, comments) {
+  const approval = this.getCurrentApproval();
+  approval.status = status;
+  approval.approvedBy = userId;
+  approval.approvedAt = new Date();
+  approval.comments = comments;
+
+  if (status === 'declined') {
+    this.status = 'declined';
+    this.currentApprovalStage = undefined;
+    return false;
+  }
+
+  const next = this.approvals.find(candidate => candidate.order > approval.order && candidate.status === 'pending');
+  if (next) {
+    this.currentApprovalStage = next.stage;
+    return false;
+  }
+
+  this.status = 'approved';
+  this.currentApprovalStage = undefined;
+  this.completedAt = new Date();
+  return true;
+};
+
+takeoverCaseSchema.statics.REQUIRED_DOCUMENTS = REQUIRED_DOCUMENTS;
+takeoverCaseSchema.statics.TAKEOVER_STAGES = TAKEOVER_STAGES;
+
+module.exports = mongoose.model('TakeoverCase', takeoverCaseSchema);
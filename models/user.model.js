@@ -1,6 +1,10 @@
+// models/user.model.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const PASSWORD_RESET_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
 const userSchema = new mongoose.Schema({
   staffId: {
     type: String,
@@ -37,6 +41,12 @@ const userSchema = new mongoose.Schema({
            'Regional Coordinator', 'Vehicle Officer', 'ICT Admin'],
     default: 'Staff'
   },
+  // Regional office code (e.g. ABJ), used in request numbering
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -79,8 +89,11 @@ const userSchema = new mongoose.Schema({
       declinedAt: Date
     }
   },
+  // SHA-256 of the emailed reset token; cleared once it is used
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
   lastLogin: Date,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -107,6 +120,39 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Start a password reset. Only the hash is stored; the returned token is
+// emailed and works once, until it expires.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000);
+  return token;
+};
+
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Set a new password, using up the reset token and signing out every
+// existing session
+userSchema.methods.resetPassword = function(password) {
+  this.password = password;
+  // A second back: JWT iat is in whole seconds, so a token issued right
+  // after the reset must not count as older than the change
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  this.clearPasswordResetToken();
+};
+
+// True if the password changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return !!this.passwordChangedAt && this.passwordChangedAt.getTime() > issuedAt * 1000;
+};
+
 // Check if user has permission
 userSchema.methods.hasPermission = function(permission) {
   const rolePermissions = {
@@ -126,4 +172,12 @@ userSchema.methods.hasPermission = function(permission) {
   return rolePermissions[userRole]?.includes(permission) || false;
 };
 
+// Find active users holding a role, directly or through an acting assignment
+userSchema.statics.findActiveByRole = function(role) {
+  return this.find({
+    isActive: true,
+    $or: [{ role }, { 'isActingAs.role': role }]
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
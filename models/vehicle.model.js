@@ -0,0 +1,93 @@
+// models/vehicle.model.js
+const mongoose = require('mongoose');
+
+// How long a dispatch may hold a vehicle while it checks for overlapping trips
+const DISPATCH_CLAIM_SECONDS = 30;
+
+const vehicleSchema = new mongoose.Schema({
+  plateNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  make: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    required: true
+  },
+  seatingCapacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  homeStation: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['available', 'on_trip', 'under_maintenance', 'retired'],
+    default: 'available'
+  },
+  notes: String,
+  // Held while a vehicle officer dispatches the vehicle, so two officers
+  // cannot both pass the overlap checks for it
+  dispatchClaim: {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VehicleRequest'
+    },
+    expiresAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vehicleSchema.index({ status: 1, vehicleType: 1 });
+vehicleSchema.index({ homeStation: 1 });
+
+// Vehicles that can be booked at all, regardless of trip windows
+vehicleSchema.methods.isAssignable = function() {
+  return !['under_maintenance', 'retired'].includes(this.status);
+};
+
+// Claim a vehicle for dispatching a request. Resolves to the vehicle, or
+// null while another dispatch holds an unexpired claim on it.
+vehicleSchema.statics.claimForDispatch = function(vehicleId, requestId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: vehicleId, 'dispatchClaim.expiresAt': { $not: { $gt: now } } },
+    { dispatchClaim: { request: requestId, expiresAt: new Date(now.getTime() + DISPATCH_CLAIM_SECONDS * 1000) } },
+    { new: true }
+  );
+};
+
+vehicleSchema.statics.releaseDispatchClaim = function(vehicleId, requestId) {
+  return this.updateOne(
+    { _id: vehicleId, 'dispatchClaim.request': requestId },
+    { $unset: { dispatchClaim: 1 } }
+  );
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
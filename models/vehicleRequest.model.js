@@ -1,130 +1,490 @@
-// models/User.js
+// models/vehicleRequest.model.js
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const { generateId } = require('../utils/counter');
 
-const userSchema = new mongoose.Schema({
-  staffId: {
+// Statuses in which a request holds its assigned vehicle
+const ACTIVE_TRIP_STATUSES = ['dispatched', 'overdue'];
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_SLA_HOURS = Number(process.env.APPROVAL_SLA_HOURS) || 24;
+const DEFAULT_ESCALATION_HOURS = Number(process.env.APPROVAL_ESCALATION_HOURS) || 48;
+// Changing any of these can invalidate approvals already given
+const REAPPROVAL_FIELDS = ['vehicleType', 'destination', 'durationOfTrip', 'departureDate', 'dateOfReturn'];
+
+const approvalSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    required: true
+  },
+  name: String,
+  roles: [String],
+  order: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  comments: String,
+
+  // SLA tracking, copied from the flow stage when the request is created
+  slaHours: Number,
+  escalateAfterHours: Number,
+  escalationRoles: [String],
+  reapprovalFields: [String],
+  startedAt: Date,
+  dueAt: Date,
+  reminderSentAt: Date,
+  slaBreached: {
+    type: Boolean,
+    default: false
+  },
+  escalatedAt: Date,
+  escalatedRoles: [String],
+  escalatedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const vehicleRequestSchema = new mongoose.Schema({
+  requestId: {
     type: String,
     required: true,
-    unique: true,
-    trim: true
+    unique: true
+  },
+  requestingOfficer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
   },
   name: {
     type: String,
-    required: true,
-    trim: true
+    required: true
   },
-  email: {
+  uniqueId: {
     type: String,
-    required: true,
-    unique: true,
-    lowercase: true,
+    required: true
+  },
+  division: {
+    type: String,
+    required: true
+  },
+  region: {
+    type: String,
+    uppercase: true,
     trim: true
   },
-  password: {
+  vehicleType: {
     type: String,
-    required: true,
-    minlength: 6
+    required: true
   },
-  department: {
+  purpose: {
     type: String,
-    required: true,
-    enum: ['DSSRI', 'DSSR', 'ROM', 'Corporate Services', 'Logistics', 'ICT', 'Regional Office', 'Other']
+    required: true
   },
-  role: {
+  destination: {
     type: String,
-    required: true,
-    enum: ['Staff', 'Uploader', 'Approver', 'Viewer', 'ROM Supervisor', 'Supervisor', 'Corporate Services', 
-           'Regional Coordinator', 'Vehicle Officer', 'ICT Admin'],
-    default: 'Staff'
+    enum: ['within_town', 'out_of_town'],
+    required: true
   },
-  isActive: {
-    type: Boolean,
-    default: true
+  destinationDetails: String,
+  durationOfTrip: Number, // Days
+  departureDate: {
+    type: Date,
+    required: true
   },
-  isActingAs: {
-    role: String,
-    startDate: Date,
-    endDate: Date,
-    assignedBy: {
+  dateOfReturn: {
+    type: Date,
+    required: true
+  },
+
+  // Snapshot of the approval flow chosen when the request was created,
+  // so later edits to the flow do not affect requests already in progress
+  approvalFlow: {
+    flow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalFlow'
+    },
+    key: String,
+    name: String
+  },
+
+  approvals: [approvalSchema],
+
+  currentApprovalStage: String,
+  currentApprovalRoles: [String],
+  currentApprovalUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Reminders and escalations raised by the approval SLA job
+  escalations: [{
+    stage: String,
+    type: {
+      type: String,
+      enum: ['reminder', 'escalation']
+    },
+    toRoles: [String],
+    toUsers: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    }],
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
     }
+  }],
+
+  overallStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'declined', 'cancelled', 'dispatched', 'overdue', 'completed'],
+    default: 'pending'
   },
-  relievingOfficer: {
-    officer: {
+
+  vehicleAssignment: {
+    vehicle: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
+      ref: 'Vehicle'
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Driver'
     },
-    startDate: Date,
-    endDate: Date,
-    status: {
+    driverName: String,
+    driverId: String,
+    assignedVehicleType: String,
+    assignedVehicleNumber: String,
+    dispatchTime: Date,
+    expectedReturn: Date,
+    urgentDispatch: {
+      type: Boolean,
+      default: false
+    },
+    dispatchAlert: {
+      sent: Boolean,
+      sentAt: Date
+    }
+  },
+
+  // Set by the overdue trip job when a dispatched vehicle is not back by expectedReturn
+  overdue: {
+    flaggedAt: Date,
+    escalatedAt: Date,
+    escalatedTo: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+
+  // Recorded when the vehicle is checked back in
+  tripCompletion: {
+    returnedAt: Date,
+    odometerStart: Number, // Kilometres
+    odometerEnd: Number,
+    distanceCovered: Number,
+    fuelUsed: Number, // Litres
+    vehicleCondition: {
       type: String,
-      enum: ['pending', 'approved', 'declined', 'active', 'completed'],
-      default: 'pending'
+      enum: ['good', 'fair', 'damaged', 'needs_service']
+    },
+    incidentNotes: String,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    approvedBy: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      role: String,
-      approvedAt: Date
+    reason: String,
+    previousStatus: String,
+    cancelledAt: Date
+  },
+
+  // Requester amendments: what changed and which approval stages were reset
+  revisions: [{
+    revisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changes: [{
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
     }],
-    declinedBy: {
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      reason: String,
-      declinedAt: Date
+    resetStages: [String],
+    previousFlow: String,
+    comments: String,
+    revisedAt: {
+      type: Date,
+      default: Date.now
     }
+  }],
+
+  declinedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    reason: String,
+    declinedAt: Date
   },
-  passwordResetToken: String,
-  passwordResetExpires: Date,
-  lastLogin: Date,
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }
+
+  notifications: [{
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    type: {
+      type: String
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
-// Index for performance
-userSchema.index({ staffId: 1 });
-userSchema.index({ email: 1 });
-userSchema.index({ department: 1, role: 1 });
+// Indexes
+vehicleRequestSchema.index({ requestingOfficer: 1 });
+vehicleRequestSchema.index({ overallStatus: 1 });
+vehicleRequestSchema.index({ currentApprovalRoles: 1, overallStatus: 1 });
+vehicleRequestSchema.index({ currentApprovalUsers: 1, overallStatus: 1 });
+vehicleRequestSchema.index({ overallStatus: 1, 'approvals.dueAt': 1 });
+vehicleRequestSchema.index({ createdAt: -1 });
+vehicleRequestSchema.index({ 'vehicleAssignment.vehicle': 1, departureDate: 1, dateOfReturn: 1 });
+vehicleRequestSchema.index({ 'vehicleAssignment.driver': 1, departureDate: 1, dateOfReturn: 1 });
+vehicleRequestSchema.index({ overallStatus: 1, 'vehicleAssignment.expectedReturn': 1 });
 
-// Hash password before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  this.password = await bcrypt.hash(this.password, 12);
+// Generate request ID, numbered per year and regional office
+vehicleRequestSchema.pre('validate', async function(next) {
+  if (!this.requestId) {
+    this.requestId = await generateId({ prefix: 'VR', yearly: true, region: this.region });
+  }
   next();
 });
 
-// Compare password method
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return await bcrypt.compare(candidatePassword, this.password);
+// Set up the approval stages from a resolved approval flow
+vehicleRequestSchema.methods.initializeApprovals = function(flow) {
+  this.approvalFlow = {
+    flow: flow._id || undefined,
+    key: flow.key,
+    name: flow.name
+  };
+
+  this.approvals = [...flow.stages]
+    .sort((a, b) => a.order - b.order)
+    .map(stage => ({
+      stage: stage.key,
+      name: stage.name,
+      roles: stage.roles,
+      order: stage.order,
+      status: 'pending',
+      slaHours: stage.slaHours || DEFAULT_SLA_HOURS,
+      escalateAfterHours: stage.escalateAfterHours || DEFAULT_ESCALATION_HOURS,
+      escalationRoles: stage.escalationRoles,
+      reapprovalFields: stage.reapprovalFields
+    }));
+
+  this.overallStatus = 'pending';
+  this.setCurrentStage(this.approvals[0]);
+};
+
+// Make an approval the current stage and start its SLA clock
+vehicleRequestSchema.methods.setCurrentStage = function(approval) {
+  this.currentApprovalStage = approval ? approval.stage : undefined;
+  this.currentApprovalRoles = approval ? [...approval.roles, ...(approval.escalatedRoles || [])] : [];
+  this.currentApprovalUsers = approval ? approval.escalatedUsers || [] : [];
+
+  if (approval && !approval.startedAt) {
+    approval.startedAt = new Date();
+    approval.dueAt = new Date(approval.startedAt.getTime() + approval.slaHours * HOUR);
+  }
+};
+
+// Get the approval entry for the stage the request is waiting on
+vehicleRequestSchema.methods.getCurrentApproval = function() {
+  return this.approvals.find(approval => approval.stage === this.currentApprovalStage) || null;
+};
+
+// A stage can be acted on by its roles, or by roles and users it was escalated to
+vehicleRequestSchema.methods.canBeApprovedBy = function(role, userId) {
+  const current = this.getCurrentApproval();
+  if (this.overallStatus !== 'pending' || !current) return false;
+
+  return current.roles.includes(role) ||
+    (current.escalatedRoles || []).includes(role) ||
+    (!!userId && (current.escalatedUsers || []).some(user => user.equals(userId)));
 };
 
-// Check if user has permission
-userSchema.methods.hasPermission = function(permission) {
-  const rolePermissions = {
-    'Staff': ['view_own_requests', 'create_vehicle_request', 'create_item_request', 'view_companies'],
-    'Uploader': ['upload_files', 'view_own_requests'],
-    'Approver': ['approve_requests', 'view_team_requests'],
-    'Viewer': ['view_all_requests'],
-    'ROM Supervisor': ['approve_vehicle_level1', 'add_facility', 'edit_facility', 'view_team_requests'],
-    'Supervisor': ['approve_vehicle_level1', 'view_department_requests'],
-    'Corporate Services': ['approve_vehicle_level2', 'view_corporate_requests'],
-    'Regional Coordinator': ['approve_vehicle_level3', 'assign_relieving_officer', 'view_all_data', 'export_data'],
-    'Vehicle Officer': ['approve_vehicle_final', 'assign_driver', 'dispatch_vehicle', 'edit_vehicle_info'],
-    'ICT Admin': ['manage_users', 'view_activity_log', 'system_config']
+// Record an approve/decline decision on the current stage
+vehicleRequestSchema.methods.recordDecision = function(userId, status, comments) {
+  const approval = this.getCurrentApproval();
+  approval.status = status;
+  approval.approvedBy = userId;
+  approval.approvedAt = new Date();
+  approval.comments = comments;
+  if (approval.dueAt && approval.approvedAt > approval.dueAt) {
+    approval.slaBreached = true;
+  }
+  return approval;
+};
+
+// Advance to the next pending stage, or mark the request approved
+vehicleRequestSchema.methods.moveToNextStage = function() {
+  const next = this.approvals.find(approval => approval.status === 'pending');
+  this.setCurrentStage(next);
+  if (!next) {
+    this.overallStatus = 'approved';
+  }
+};
+
+const clearStageProgress = (approval) => {
+  ['approvedBy', 'approvedAt', 'comments', 'startedAt', 'dueAt',
+   'reminderSentAt', 'escalatedAt'].forEach(field => { approval[field] = undefined; });
+  approval.slaBreached = false;
+  approval.escalatedRoles = [];
+  approval.escalatedUsers = [];
+};
+
+// Whether amending any of the fields needs this stage to approve again
+const isAffectedBy = (approval, fields) =>
+  (approval.reapprovalFields?.length ? approval.reapprovalFields : REAPPROVAL_FIELDS)
+    .some(field => fields.includes(field));
+
+// Put the approved stages concerned with the changed fields back to pending
+// and restart from the first pending stage. Returns the keys of the stages
+// that were reset.
+vehicleRequestSchema.methods.resetApprovedStages = function(changedFields) {
+  const reset = [];
+  this.approvals.forEach(approval => {
+    if (approval.status === 'approved' && isAffectedBy(approval, changedFields)) {
+      approval.status = 'pending';
+      clearStageProgress(approval);
+      reset.push(approval.stage);
+    }
+  });
+  if (!reset.length) return reset;
+
+  // A stage that was in progress waits again behind the reset stages
+  const next = this.approvals.find(approval => approval.status === 'pending');
+  const current = this.getCurrentApproval();
+  if (current && current !== next && current.status === 'pending') {
+    clearStageProgress(current);
+  }
+
+  this.overallStatus = 'pending';
+  this.setCurrentStage(next);
+  return reset;
+};
+
+// Widen who can act on the current stage after an SLA escalation
+vehicleRequestSchema.methods.escalateCurrentStage = function({ roles = [], users = [], reason }) {
+  const approval = this.getCurrentApproval();
+  approval.escalatedAt = new Date();
+  approval.escalatedRoles = roles;
+  approval.escalatedUsers = users;
+  this.setCurrentStage(approval);
+
+  this.escalations.push({
+    stage: approval.stage,
+    type: 'escalation',
+    toRoles: roles,
+    toUsers: users,
+    reason
+  });
+  return approval;
+};
+
+// Roles the current stage escalates to: its escalationRoles, else the next stage's roles
+vehicleRequestSchema.methods.getEscalationRoles = function() {
+  const approval = this.getCurrentApproval();
+  if (approval.escalationRoles?.length) return approval.escalationRoles;
+
+  const next = this.approvals.find(candidate => candidate.order > approval.order);
+  return next ? next.roles : ['Regional Coordinator'];
+};
+
+vehicleRequestSchema.methods.areAllApprovalsComplete = function() {
+  return this.approvals.length > 0 &&
+    this.approvals.every(approval => approval.status === 'approved');
+};
+
+// Queue an in-app notification for each recipient
+vehicleRequestSchema.methods.notify = function(recipients, message, type) {
+  [].concat(recipients).forEach(recipient => {
+    this.notifications.push({ recipient: recipient._id || recipient, message, type });
+  });
+};
+
+// Free the assigned vehicle and driver unless they are still held by
+// another active trip. Vehicles can be sent to maintenance instead.
+vehicleRequestSchema.methods.releaseAssignment = async function(userId, { vehicleStatus = 'available' } = {}) {
+  const { vehicle, driver } = this.vehicleAssignment || {};
+  const stillActive = (filter) => mongoose.model('VehicleRequest').exists({
+    ...filter,
+    _id: { $ne: this._id },
+    overallStatus: { $in: ACTIVE_TRIP_STATUSES }
+  });
+
+  if (vehicle) {
+    const busy = vehicleStatus === 'available' &&
+      await stillActive({ 'vehicleAssignment.vehicle': vehicle });
+    await mongoose.model('Vehicle').updateOne(
+      { _id: vehicle, status: { $ne: 'retired' } },
+      { status: busy ? 'on_trip' : vehicleStatus, lastModifiedBy: userId }
+    );
+  }
+
+  if (driver && !(await stillActive({ 'vehicleAssignment.driver': driver }))) {
+    await mongoose.model('Driver').updateOne(
+      { _id: driver, dutyStatus: 'on_trip' },
+      { dutyStatus: 'on_duty', lastModifiedBy: userId }
+    );
+  }
+};
+
+// Find active trips matching a filter whose window overlaps the given
+// window. A trip runs from departureDate to the later of dateOfReturn and
+// its dispatch's expectedReturn; an overdue trip has no end until the
+// vehicle is checked back in.
+vehicleRequestSchema.statics.findOverlappingTrips = function(filter, startDate, endDate, excludeId) {
+  const start = new Date(startDate);
+  const query = {
+    ...filter,
+    overallStatus: { $in: ACTIVE_TRIP_STATUSES },
+    departureDate: { $lte: new Date(endDate) },
+    $or: [
+      { overallStatus: 'overdue' },
+      { dateOfReturn: { $gte: start } },
+      { 'vehicleAssignment.expectedReturn': { $gte: start } }
+    ]
   };
+  if (excludeId) query._id = { $ne: excludeId };
 
-  const userRole = this.isActingAs?.role || this.role;
-  return rolePermissions[userRole]?.includes(permission) || false;
+  return this.find(query).select('requestId departureDate dateOfReturn overallStatus vehicleAssignment');
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+vehicleRequestSchema.statics.ACTIVE_TRIP_STATUSES = ACTIVE_TRIP_STATUSES;
+
+vehicleRequestSchema.statics.REAPPROVAL_FIELDS = REAPPROVAL_FIELDS;
+
+module.exports = mongoose.model('VehicleRequest', vehicleRequestSchema);
@@ -0,0 +1,23 @@
+// routes/approvalFlow.route.js
+const express = require('express');
+const router = express.Router();
+const approvalFlowController = require('../controllers/approvalFlow.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('ICT Admin', 'Regional Coordinator'), approvalFlowController.getApprovalFlows)
+  .post(authorize('ICT Admin'), approvalFlowController.createApprovalFlow);
+
+router.post('/resolve',
+  authorize('ICT Admin', 'Regional Coordinator'),
+  approvalFlowController.resolveApprovalFlow
+);
+
+router.route('/:id')
+  .get(authorize('ICT Admin', 'Regional Coordinator'), approvalFlowController.getApprovalFlow)
+  .put(authorize('ICT Admin'), approvalFlowController.updateApprovalFlow)
+  .delete(authorize('ICT Admin'), approvalFlowController.deactivateApprovalFlow);
+
+module.exports = router;
@@ -1,10 +1,12 @@
-// routes/auth.routes.js
+// routes/auth.route.js
 const express = require('express');
 const router = express.Router();
-const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const authController = require('../controllers/auth.controller');
+const { protect } = require('../middlewares/auth');
 
 router.post('/login', authController.login);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password/:token', authController.resetPassword);
 router.get('/me', protect, authController.getMe);
 router.post('/logout', protect, authController.logout);
 
@@ -0,0 +1,28 @@
+// routes/driver.route.js
+const express = require('express');
+const router = express.Router();
+const driverController = require('../controllers/driver.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('Vehicle Officer', 'ICT Admin', 'Regional Coordinator'), driverController.getDrivers)
+  .post(authorize('Vehicle Officer', 'ICT Admin'), driverController.createDriver);
+
+router.get('/available',
+  authorize('Vehicle Officer', 'ICT Admin'),
+  driverController.getAvailableDrivers
+);
+
+router.get('/:id/trips',
+  authorize('Vehicle Officer', 'ICT Admin', 'Regional Coordinator'),
+  driverController.getDriverTrips
+);
+
+router.route('/:id')
+  .get(authorize('Vehicle Officer', 'ICT Admin', 'Regional Coordinator'), driverController.getDriver)
+  .put(authorize('Vehicle Officer', 'ICT Admin'), driverController.updateDriver)
+  .delete(authorize('ICT Admin'), driverController.deleteDriver);
+
+module.exports = router;
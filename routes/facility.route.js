@@ -2,7 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const facilityController = require('../controllers/facility.controller');
-const { protect, authorize } = require('../middleware/auth');
+const facilityDocumentController = require('../controllers/facilityDocument.controller');
+const facilityImportController = require('../controllers/facilityImport.controller');
+const facilityHistoryController = require('../controllers/facilityHistory.controller');
+const retailOutletController = require('../controllers/retailOutlet.controller');
+const priceMonitoringController = require('../controllers/priceMonitoring.controller');
+const { protect, authorize, authorizeAny, requirePermission } = require('../middlewares/auth');
+const { uploadFiles } = require('../middlewares/upload');
+
+// Outlet readings and pump prices are recorded by ROM monitoring officers
+const monitoringOnly = authorizeAny({
+  roles: ['ROM Supervisor', 'ICT Admin'],
+  departments: ['ROM']
+});
+
+// Uploaders check documents back in; ICT Admin can force a check-in
+const canCheckIn = (req, res, next) => {
+  const userRole = req.user.isActingAs?.role || req.user.role;
+  if (userRole === 'ICT Admin') return next();
+  return requirePermission('upload_files')(req, res, next);
+};
 
 router.use(protect);
 
@@ -10,11 +29,92 @@ router.route('/')
   .get(facilityController.getFacilities)
   .post(authorize('ROM Supervisor', 'ICT Admin'), facilityController.createFacility);
 
+// Bulk import: upload for a dry-run report, then commit the valid rows
+router.post('/import',
+  authorize('ROM Supervisor', 'ICT Admin'),
+  uploadFiles('file', 1, { spreadsheets: true }),
+  facilityImportController.validateImport
+);
+router.get('/import/:importId', authorize('ROM Supervisor', 'ICT Admin'), facilityImportController.getImport);
+router.post('/import/:importId/commit',
+  authorize('ROM Supervisor', 'ICT Admin'),
+  facilityImportController.commitImport
+);
+
+router.get('/export', requirePermission('export_data'), facilityController.exportFacilities);
+router.get('/search', facilityController.search);
 router.get('/search/:stationName', facilityController.searchFacilities);
+router.get('/suggest', facilityController.suggest);
+router.get('/near', facilityController.getFacilitiesNear);
+router.get('/expiring', facilityController.getExpiringDocuments);
+router.get('/recycle-bin', authorize('ICT Admin'), facilityController.getRecycleBin);
+router.get('/within', facilityController.getFacilitiesWithin);
+router.get('/map', facilityController.getFacilityMap);
 
 router.route('/:id')
   .get(facilityController.getFacility)
   .put(authorize('ROM Supervisor', 'ICT Admin'), facilityController.updateFacility)
   .delete(authorize('ICT Admin'), facilityController.deleteFacility);
 
+router.post('/:id/restore', authorize('ICT Admin'), facilityController.restoreFacility);
+
+// Change history
+router.get('/:id/history', facilityHistoryController.getHistory);
+router.get('/:id/history/:revision', facilityHistoryController.getRevision);
+router.post('/:id/history/:revision/revert',
+  authorize('ROM Supervisor', 'ICT Admin'),
+  facilityHistoryController.revertToRevision
+);
+
+// Documents
+router.route('/:id/documents')
+  .get(facilityDocumentController.getDocuments)
+  .post(requirePermission('upload_files'), uploadFiles('files'), facilityDocumentController.uploadDocuments);
+
+router.put('/:id/documents/:docId', requirePermission('upload_files'), facilityDocumentController.updateDocument);
+router.get('/:id/documents/:docId/download', facilityDocumentController.downloadDocument);
+router.get('/:id/documents/:docId/stream', facilityDocumentController.streamDocument);
+
+router.route('/:id/documents/:docId/versions')
+  .get(facilityDocumentController.getVersions)
+  .post(requirePermission('upload_files'), uploadFiles('file', 1), facilityDocumentController.uploadVersion);
+
+router.get('/:id/documents/:docId/versions/:version/download', facilityDocumentController.downloadVersion);
+router.post('/:id/documents/:docId/versions/:version/restore',
+  requirePermission('upload_files'),
+  facilityDocumentController.restoreVersion
+);
+
+router.post('/:id/documents/:docId/checkout',
+  requirePermission('upload_files'),
+  facilityDocumentController.checkOutDocument
+);
+router.post('/:id/documents/:docId/checkin',
+  canCheckIn,
+  facilityDocumentController.checkInDocument
+);
+
+// Retail outlets
+router.route('/:id/outlets')
+  .get(retailOutletController.getOutlets)
+  .post(authorize('ROM Supervisor', 'ICT Admin'), retailOutletController.addOutlet);
+
+router.route('/:id/outlets/:outletId')
+  .get(retailOutletController.getOutlet)
+  .put(authorize('ROM Supervisor', 'ICT Admin'), retailOutletController.updateOutlet)
+  .delete(authorize('ROM Supervisor', 'ICT Admin'), retailOutletController.deleteOutlet);
+
+router.route('/:id/outlets/:outletId/readings')
+  .get(retailOutletController.getReadings)
+  .post(monitoringOnly, retailOutletController.addReading);
+
+router.get('/:id/outlets/:outletId/trends', retailOutletController.getOutletTrends);
+
+// Pump prices
+router.route('/:id/prices')
+  .get(priceMonitoringController.getFacilityPrices)
+  .post(monitoringOnly, priceMonitoringController.recordObservations);
+
+router.get('/:id/prices/stats', priceMonitoringController.getFacilityPriceStats);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+// routes/inspection.route.js
+const express = require('express');
+const router = express.Router();
+const inspectionController = require('../controllers/inspection.controller');
+const { protect, authorize, authorizeAny } = require('../middlewares/auth');
+const { uploadFiles } = require('../middlewares/upload');
+
+// Inspections are carried out by ROM monitoring officers
+const romOnly = authorizeAny({
+  roles: ['ROM Supervisor', 'ICT Admin'],
+  departments: ['ROM']
+});
+
+router.use(protect);
+
+router.route('/templates')
+  .get(inspectionController.getTemplates)
+  .post(authorize('ROM Supervisor', 'ICT Admin'), inspectionController.createTemplate);
+
+router.route('/templates/:id')
+  .get(inspectionController.getTemplate)
+  .put(authorize('ROM Supervisor', 'ICT Admin'), inspectionController.updateTemplate)
+  .delete(authorize('ROM Supervisor', 'ICT Admin'), inspectionController.deactivateTemplate);
+
+router.route('/schedules')
+  .get(inspectionController.getSchedules)
+  .post(authorize('ROM Supervisor', 'ICT Admin'), inspectionController.createSchedule);
+
+router.put('/schedules/:id', authorize('ROM Supervisor', 'ICT Admin'), inspectionController.updateSchedule);
+
+router.get('/overdue', inspectionController.getOverdue);
+
+router.route('/')
+  .get(inspectionController.getInspections)
+  .post(romOnly, uploadFiles('photos', 10), inspectionController.submitInspection);
+
+router.get('/:id', inspectionController.getInspection);
+router.get('/:id/photos/:key', inspectionController.downloadPhoto);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// routes/inventory.route.js
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventory.controller');
+const { protect, authorizeAny } = require('../middlewares/auth');
+
+// Stores are managed by the Logistics department
+const storesOnly = authorizeAny({
+  roles: ['Corporate Services', 'ICT Admin'],
+  departments: ['Logistics']
+});
+
+router.use(protect);
+
+router.route('/items')
+  .get(inventoryController.getStockItems)
+  .post(storesOnly, inventoryController.createStockItem);
+
+router.route('/items/:id')
+  .get(inventoryController.getStockItem)
+  .put(storesOnly, inventoryController.updateStockItem);
+
+router.get('/balances', inventoryController.getBalances);
+router.get('/low-stock', storesOnly, inventoryController.getLowStock);
+router.get('/movements', storesOnly, inventoryController.getMovements);
+
+router.post('/receipts', storesOnly, inventoryController.receiveStock);
+router.post('/adjustments', storesOnly, inventoryController.adjustStock);
+
+module.exports = router;
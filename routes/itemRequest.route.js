@@ -0,0 +1,30 @@
+// routes/itemRequest.route.js
+const express = require('express');
+const router = express.Router();
+const itemRequestController = require('../controllers/itemRequest.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(itemRequestController.getItemRequests)
+  .post(itemRequestController.createItemRequest);
+
+router.route('/:id')
+  .get(itemRequestController.getItemRequest);
+
+router.put('/:id/approve',
+  authorize('Approver', 'Supervisor', 'ROM Supervisor', 'Corporate Services'),
+  itemRequestController.approveItemRequest
+);
+
+router.put('/:id/decline',
+  authorize('Approver', 'Supervisor', 'ROM Supervisor', 'Corporate Services'),
+  itemRequestController.declineItemRequest
+);
+
+// Logistics department check is done in the controller
+router.put('/:id/fulfill', itemRequestController.fulfillItemRequest);
+
+module.exports = router;
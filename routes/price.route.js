@@ -0,0 +1,23 @@
+// routes/price.route.js
+const express = require('express');
+const router = express.Router();
+const priceMonitoringController = require('../controllers/priceMonitoring.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.get('/stats', priceMonitoringController.getRegionPriceStats);
+router.get('/breaches',
+  authorize('ROM Supervisor', 'Regional Coordinator', 'ICT Admin'),
+  priceMonitoringController.getPriceBreaches
+);
+
+router.route('/caps')
+  .get(priceMonitoringController.getPriceCaps)
+  .post(authorize('ROM Supervisor', 'ICT Admin'), priceMonitoringController.createPriceCap);
+
+router.route('/caps/:id')
+  .put(authorize('ROM Supervisor', 'ICT Admin'), priceMonitoringController.updatePriceCap)
+  .delete(authorize('ROM Supervisor', 'ICT Admin'), priceMonitoringController.deactivatePriceCap);
+
+module.exports = router;
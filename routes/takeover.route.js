@@ -0,0 +1,37 @@
+// routes/takeover.route.js
+const express = require('express');
+const router = express.Router();
+const takeoverCaseController = require('../controllers/takeoverCase.controller');
+const { protect, authorize, authorizeAny, requirePermission } = require('../middlewares/auth');
+const { uploadFiles } = require('../middlewares/upload');
+
+// Takeover cases are prepared by ROM monitoring officers
+const romOnly = authorizeAny({
+  roles: ['ROM Supervisor', 'ICT Admin'],
+  departments: ['ROM']
+});
+
+router.use(protect);
+
+router.route('/')
+  .get(takeoverCaseController.getCases)
+  .post(romOnly, takeoverCaseController.openCase);
+
+router.route('/:id')
+  .get(takeoverCaseController.getCase)
+  .put(romOnly, takeoverCaseController.updateCase);
+
+router.post('/:id/documents',
+  requirePermission('upload_files'),
+  uploadFiles('files'),
+  takeoverCaseController.uploadCaseDocuments
+);
+router.get('/:id/documents/:docId/download', takeoverCaseController.downloadCaseDocument);
+router.delete('/:id/documents/:docId', requirePermission('upload_files'), takeoverCaseController.deleteCaseDocument);
+
+router.put('/:id/submit', romOnly, takeoverCaseController.submitCase);
+router.put('/:id/approve', authorize('ROM Supervisor', 'Regional Coordinator'), takeoverCaseController.approveCase);
+router.put('/:id/decline', authorize('ROM Supervisor', 'Regional Coordinator'), takeoverCaseController.declineCase);
+router.put('/:id/cancel', takeoverCaseController.cancelCase);
+
+module.exports = router;
@@ -1,8 +1,8 @@
-// routes/user.routes.js
+// routes/user.route.js
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize } = require('../middlewares/auth');
 
 router.use(protect);
 
@@ -11,6 +11,7 @@ router.get('/eligible-officers', authorize('Regional Coordinator'), userControll
 
 router.put('/:id', authorize('ICT Admin'), userController.updateUser);
 router.put('/:id/deactivate', authorize('ICT Admin'), userController.deactivateUser);
+router.post('/:id/reset-password', authorize('ICT Admin'), userController.resetUserPassword);
 
 router.post('/relieving-officer', 
   authorize('Regional Coordinator', 'Supervisor'), 
@@ -0,0 +1,23 @@
+// routes/vehicle.route.js
+const express = require('express');
+const router = express.Router();
+const vehicleController = require('../controllers/vehicle.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(vehicleController.getVehicles)
+  .post(authorize('Vehicle Officer', 'ICT Admin'), vehicleController.createVehicle);
+
+router.get('/available',
+  authorize('Vehicle Officer', 'ICT Admin'),
+  vehicleController.getAvailableVehicles
+);
+
+router.route('/:id')
+  .get(vehicleController.getVehicle)
+  .put(authorize('Vehicle Officer', 'ICT Admin'), vehicleController.updateVehicle)
+  .delete(authorize('ICT Admin'), vehicleController.deleteVehicle);
+
+module.exports = router;
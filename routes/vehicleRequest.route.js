@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const vehicleRequestController = require('../controllers/vehicleRequest.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize } = require('../middlewares/auth');
 
 // All routes are protected
 router.use(protect);
@@ -13,22 +13,30 @@ router.route('/')
 
 router.get('/stats/dashboard', vehicleRequestController.getDashboardStats);
 
+router.get('/overdue',
+  authorize('Vehicle Officer', 'Regional Coordinator', 'ICT Admin'),
+  vehicleRequestController.getOverdueVehicleRequests
+);
+
 router.route('/:id')
   .get(vehicleRequestController.getVehicleRequest);
 
-router.put('/:id/approve',
-  authorize('Supervisor', 'ROM Supervisor', 'Corporate Services', 'Regional Coordinator', 'Vehicle Officer'),
-  vehicleRequestController.approveVehicleRequest
-);
+// Approver roles come from the request's approval flow, checked in the controller
+router.put('/:id/approve', vehicleRequestController.approveVehicleRequest);
+router.put('/:id/decline', vehicleRequestController.declineVehicleRequest);
 
-router.put('/:id/decline',
-  authorize('Supervisor', 'ROM Supervisor', 'Corporate Services', 'Regional Coordinator', 'Vehicle Officer'),
-  vehicleRequestController.declineVehicleRequest
-);
+// Requester actions, checked against requestingOfficer in the controller
+router.put('/:id/cancel', vehicleRequestController.cancelVehicleRequest);
+router.put('/:id/amend', vehicleRequestController.amendVehicleRequest);
 
 router.put('/:id/assign',
   authorize('Vehicle Officer'),
   vehicleRequestController.assignVehicle
 );
 
+router.put('/:id/return',
+  authorize('Vehicle Officer'),
+  vehicleRequestController.returnVehicle
+);
+
 module.exports = router;
\ No newline at end of file
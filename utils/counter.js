@@ -0,0 +1,33 @@
+// utils/counter.js
+// Atomic sequence numbers for human-readable document IDs. Each sequence is
+// a document in the counters collection incremented with $inc, so
+// concurrent creates never get the same number and deletions never cause
+// a number to be reused.
+const Counter = require('../models/counter.model');
+
+// Atomically take the next number in a sequence, creating it on first use
+const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Build the next ID for a document type, e.g.
+// generateId({ prefix: 'VR', yearly: true, region: 'ABJ' }) -> VR-2026-ABJ-00042
+// The year and region parts are included in the sequence name, so each
+// year/region combination numbers from 1.
+const generateId = async ({ prefix, yearly = false, region, pad = 5, date = new Date() }) => {
+  const parts = [prefix];
+  if (yearly) parts.push(String(date.getFullYear()));
+  if (region) parts.push(String(region).toUpperCase());
+
+  const sequenceName = parts.join('-');
+  const seq = await nextSequence(sequenceName);
+
+  return `${sequenceName}-${String(seq).padStart(pad, '0')}`;
+};
+
+module.exports = { nextSequence, generateId };
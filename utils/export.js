@@ -0,0 +1,107 @@
+// utils/export.js
+// Serializers for streaming facility exports. Each format has a header,
+// one chunk per facility and a footer, so a cursor can be written out
+// without holding the whole list in memory.
+
+const COLUMNS = [
+  ['name', f => f.name],
+  ['serialNo', f => f.serialNo],
+  ['address', f => f.address],
+  ['region', f => f.region],
+  ['fileType', f => f.fileType],
+  ['status', f => f.status],
+  ['takeoverCompany', f => f.takenOverBy?.company],
+  ['takeoverDate', f => f.takenOverBy?.date],
+  ['latitude', f => lngLat(f)?.[1]],
+  ['longitude', f => lngLat(f)?.[0]],
+  ['retailOutlets', f => (f.retailOutlets || []).length],
+  ['mapUrl', f => f.mapUrl],
+  ['createdAt', f => f.createdAt],
+  ['updatedAt', f => f.updatedAt]
+];
+
+// Coordinates, or null for facilities never placed on the map ([0, 0])
+const lngLat = (facility) => {
+  const coordinates = facility.location?.coordinates;
+  if (!coordinates || coordinates.length !== 2) return null;
+  if (coordinates[0] === 0 && coordinates[1] === 0) return null;
+  return coordinates;
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Quote when needed, and stop text cells being read as spreadsheet formulas
+const csvCell = (value) => {
+  value = formatValue(value);
+  if (typeof value !== 'string') return String(value);
+  if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+const xmlEscape = (value) => String(formatValue(value))
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const properties = (facility) => COLUMNS.reduce((props, [key, read]) => {
+  if (key === 'latitude' || key === 'longitude') return props;
+  props[key] = formatValue(read(facility));
+  return props;
+}, { id: String(facility._id) });
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  // BOM so Excel opens the file as UTF-8
+  header: () => `\uFEFF${COLUMNS.map(([key]) => key).join(',')}\r\n`,
+  row: (facility) => `${COLUMNS.map(([, read]) => csvCell(read(facility))).join(',')}\r\n`,
+  footer: () => ''
+};
+
+const geojson = {
+  contentType: 'application/geo+json; charset=utf-8',
+  extension: 'geojson',
+  header: () => '{"type":"FeatureCollection","features":[\n',
+  row: (facility, index) => {
+    const coordinates = lngLat(facility);
+    const feature = {
+      type: 'Feature',
+      id: String(facility._id),
+      geometry: coordinates ? { type: 'Point', coordinates } : null,
+      properties: properties(facility)
+    };
+    return `${index ? ',\n' : ''}${JSON.stringify(feature)}`;
+  },
+  footer: () => '\n]}\n'
+};
+
+const kml = {
+  contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+  extension: 'kml',
+  header: (title) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n' +
+    `<name>${xmlEscape(title)}</name>\n`,
+  row: (facility) => {
+    const coordinates = lngLat(facility);
+    const data = Object.entries(properties(facility))
+      .map(([key, value]) => `<Data name="${key}"><value>${xmlEscape(value)}</value></Data>`)
+      .join('');
+    return '<Placemark>' +
+      `<name>${xmlEscape(facility.name)}</name>` +
+      `<description>${xmlEscape(`${facility.serialNo} - ${facility.address}`)}</description>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      (coordinates ? `<Point><coordinates>${coordinates[0]},${coordinates[1]},0</coordinates></Point>` : '') +
+      '</Placemark>\n';
+  },
+  footer: () => '</Document>\n</kml>\n'
+};
+
+exports.FORMATS = { csv, geojson, kml };
+
+module.exports = exports;
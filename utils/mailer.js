@@ -0,0 +1,60 @@
+// utils/mailer.js
+// Outgoing email over SMTP. Configure with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER, SMTP_PASS and MAIL_FROM. A local catch-all SMTP
+// server (e.g. MailHog on port 1025) works for testing.
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+exports.getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+exports.sendMail = ({ to, subject, text, html }) => exports.getTransporter().sendMail({
+  from: process.env.MAIL_FROM || 'no-reply@localhost',
+  to,
+  subject,
+  text,
+  html
+});
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Email a password reset link. requestedBy is set when an administrator
+// started the reset.
+exports.sendPasswordResetEmail = (user, token, { expiresAt, requestedBy } = {}) => {
+  const url = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${token}`;
+  const reason = requestedBy
+    ? `${requestedBy.name} (ICT) has started a password reset for your account.`
+    : 'We received a request to reset the password for your account.';
+  const expiry = expiresAt ? ` The link expires at ${expiresAt.toUTCString()}.` : '';
+
+  return exports.sendMail({
+    to: user.email,
+    subject: 'Password reset',
+    text: `Hello ${user.name},\n\n${reason}\n\nSet a new password here: ${url}\n\n` +
+      `The link can only be used once.${expiry} If you did not expect this email, ` +
+      'you can ignore it and your password will stay the same.\n',
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>${escapeHtml(reason)}</p>` +
+      `<p><a href="${url}">Set a new password</a></p>` +
+      `<p>The link can only be used once.${expiry} If you did not expect this email, ` +
+      'you can ignore it and your password will stay the same.</p>'
+  });
+};
+
+module.exports = exports;
@@ -0,0 +1,59 @@
+// utils/scheduler.js
+// Minimal in-process job scheduler. Each job runs on its own interval and
+// never overlaps with a previous run of itself.
+
+const jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  job.lastRunAt = new Date();
+
+  try {
+    const result = await job.handler();
+    job.lastResult = result;
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed: ${error.message}`);
+    job.lastError = error.message;
+  } finally {
+    job.running = false;
+  }
+};
+
+// Register a job. intervalMs is how often it runs once the scheduler starts.
+exports.register = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false });
+};
+
+exports.start = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for scheduled jobs
+    job.timer.unref();
+    console.log(`⏱️  Scheduled job ${job.name} every ${Math.round(job.intervalMs / 60000)} min`);
+  });
+};
+
+exports.stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Run a job immediately, outside its interval
+exports.runNow = (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Job ${name} is not registered`);
+  return runJob(job);
+};
+
+exports.getStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+  name, intervalMs, running, lastRunAt, lastResult, lastError
+}));
+
+module.exports = exports;
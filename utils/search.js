@@ -0,0 +1,70 @@
+// utils/search.js
+// Helpers for facility search: safe regexes, trigram fuzzy matching and
+// highlighted match fragments.
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Trigrams of each token, padded at the start so prefixes weigh more.
+// "abuja" -> "  a", " ab", "abu", "buj", "uja"
+const trigrams = (text) => {
+  const grams = new Set();
+  tokenize(text).forEach(token => {
+    const padded = `  ${token}`;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return Array.from(grams);
+};
+
+// Fraction of the query's trigrams found in the candidate's trigrams
+const trigramSimilarity = (queryGrams, candidateGrams) => {
+  if (!queryGrams.length) return 0;
+  const candidate = new Set(candidateGrams);
+  const shared = queryGrams.filter(gram => candidate.has(gram)).length;
+  return shared / queryGrams.length;
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// HTML-escape text and wrap matches of pattern in <mark>
+const markMatches = (text, pattern) => {
+  let marked = '';
+  let last = 0;
+  text.replace(pattern, (match, term, offset) => {
+    marked += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return marked + escapeHtml(text.slice(last));
+};
+
+// Return short HTML fragments of text around matches of any term, with the
+// matched words wrapped in <mark> and the rest escaped. Terms match at
+// word starts.
+const highlight = (text, terms, { radius = 30, maxFragments = 3 } = {}) => {
+  if (!text || !terms.length) return [];
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const fragments = [];
+  let match;
+
+  while ((match = pattern.exec(text)) && fragments.length < maxFragments) {
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(text.length, match.index + match[0].length + radius);
+    const snippet = markMatches(text.slice(start, end), pattern);
+    fragments.push(`${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`);
+    pattern.lastIndex = end;
+  }
+
+  return fragments;
+};
+
+module.exports = { escapeRegex, tokenize, trigrams, trigramSimilarity, highlight };
@@ -0,0 +1,117 @@
+// utils/spreadsheet.js
+// Read uploaded CSV and Excel (.xlsx) files into plain row objects keyed by
+// the header row. Each row carries its 1-based spreadsheet line in `row`.
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Split CSV text into records, honouring quoted fields with commas,
+// doubled quotes and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+// Plain value of an Excel cell (formulas give their result, links their text)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return value.text;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+  }
+  return value;
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-indexed
+    records[rowNumber - 1] = row.values.slice(1).map(cellValue);
+  });
+  return Array.from(records, record => record || []);
+};
+
+const isBlank = (values) => values.every(value => value === '' || value === null || value === undefined);
+
+// Parse an uploaded file (multer memory file) into { headers, rows }
+exports.parseSpreadsheet = async (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  let records;
+
+  if (ext === '.csv') {
+    records = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } else if (ext === '.xlsx') {
+    records = await readXlsx(file.buffer);
+  } else {
+    const error = new Error('Unsupported file. Please upload a .csv or .xlsx file');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const headerIndex = records.findIndex(record => !isBlank(record));
+  if (headerIndex === -1) return { headers: [], rows: [] };
+
+  const headers = records[headerIndex].map(header => String(header).trim());
+  const rows = [];
+  records.slice(headerIndex + 1).forEach((record, index) => {
+    if (isBlank(record)) return;
+    const row = { row: headerIndex + index + 2 };
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const value = record[column];
+      row[header] = typeof value === 'string' ? value.trim() : value ?? '';
+    });
+    rows.push(row);
+  });
+
+  return { headers, rows };
+};
+
+// Lower-cased header with spaces and punctuation removed ("Serial No." -> "serialno")
+exports.normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+exports.parseCsv = parseCsv;
+
+module.exports = exports;
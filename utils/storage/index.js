@@ -0,0 +1,126 @@
+// utils/storage/index.js
+// Pluggable file storage. Backends implement save(key, buffer), stat(key),
+// createReadStream(key, { start, end }) and remove(key); stat rejects with
+// code ENOENT for a missing key. The backend is chosen with STORAGE_DRIVER;
+// local disk is the default.
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline } = require('stream');
+
+const drivers = {
+  local: () => require('./local.storage')
+};
+
+let storage = null;
+
+exports.registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+exports.getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+exports.checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Store an uploaded file under a folder with a random name, keeping the extension
+exports.storeFile = async (folder, file) => {
+  const ext = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = `${folder}/${crypto.randomUUID()}${ext}`;
+  const { size } = await exports.getStorage().save(key, file.buffer);
+
+  return {
+    storageKey: key,
+    storageDriver: exports.getStorage().name,
+    originalName: file.originalname,
+    contentType: file.mimetype,
+    size,
+    checksum: exports.checksum(file.buffer)
+  };
+};
+
+// Copy a stored file into a folder under a new key, so the copy and the
+// original can be removed independently
+exports.copyStoredFile = async (folder, file) => {
+  const chunks = [];
+  for await (const chunk of exports.getStorage().createReadStream(file.storageKey)) {
+    chunks.push(chunk);
+  }
+  return exports.storeFile(folder, {
+    originalname: file.originalName || path.basename(file.storageKey),
+    mimetype: file.contentType,
+    buffer: Buffer.concat(chunks)
+  });
+};
+
+// Pipe a stored file to the response. pipeline closes the file if the
+// client goes away; a read error (e.g. a file removed after stat) cuts the
+// response off instead of going unhandled.
+const pipeToResponse = (stream, res) => {
+  pipeline(stream, res, (error) => {
+    if (error) res.destroy(error);
+  });
+};
+
+// Content-Disposition with an ASCII fallback name for old clients and the
+// full UTF-8 name as an RFC 5987 filename* parameter
+const contentDisposition = (disposition, filename = 'download') => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Stream a stored document, honouring a single HTTP Range if one is given
+exports.sendStoredFile = async (req, res, doc, disposition) => {
+  const storage = exports.getStorage();
+
+  let size;
+  try {
+    ({ size } = await storage.stat(doc.storageKey));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return res.status(404).json({
+      success: false,
+      message: 'Stored file not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': doc.contentType || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(disposition, doc.originalName || doc.filename),
+    'Accept-Ranges': 'bytes',
+    'X-Checksum-SHA256': doc.checksum
+  });
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (range && (range[1] || range[2])) {
+    let start = range[1] ? parseInt(range[1]) : size - parseInt(range[2]);
+    let end = range[1] && range[2] ? parseInt(range[2]) : size - 1;
+    start = Math.max(start, 0);
+    end = Math.min(end, size - 1);
+
+    if (start > end) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    res.status(206).set({
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    });
+    return pipeToResponse(storage.createReadStream(doc.storageKey, { start, end }), res);
+  }
+
+  res.set('Content-Length', size);
+  pipeToResponse(storage.createReadStream(doc.storageKey), res);
+};
+
+module.exports = exports;
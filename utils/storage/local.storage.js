@@ -0,0 +1,40 @@
+// utils/storage/local.storage.js
+// Stores files on local disk under UPLOAD_DIR (default ./uploads)
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+// Resolve a storage key to a path, refusing keys that escape the upload dir
+const resolveKey = (key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+exports.name = 'local';
+
+exports.save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  return { key, size: buffer.length };
+};
+
+exports.stat = async (key) => {
+  const stats = await fs.promises.stat(resolveKey(key));
+  return { size: stats.size };
+};
+
+// options.start / options.end are inclusive byte offsets for range requests
+exports.createReadStream = (key, options = {}) => {
+  return fs.createReadStream(resolveKey(key), options);
+};
+
+exports.remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = exports;